@@ -0,0 +1,120 @@
+// analytics.js
+
+// tokens-per-holder buckets of the distribution, as [label, smallest count, largest count]
+const DISTRIBUTION_BUCKETS = [
+    ['1', 1, 1],
+    ['2-5', 2, 5],
+    ['6-10', 6, 10],
+    ['11-25', 11, 25],
+    ['26-50', 26, 50],
+    ['51+', 51, Infinity],
+];
+const TOP_HOLDERS = 10;
+// more points than this is almost certainly a mistyped interval
+const MAX_POINTS = 1000;
+
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// "3600", "90m", "6h", "1d" or "2w" in seconds, null when it cannot be parsed
+function parseInterval(value) {
+    const match = /^(\d+)([smhdw]?)$/.exec(value);
+    if (!match || Number(match[1]) === 0) {
+        return null;
+    }
+    return Number(match[1]) * INTERVAL_UNITS[match[2] || 's'];
+}
+
+// start, start + interval, ... up to and including end
+function timePoints(start, end, interval) {
+    const points = [];
+    for (let timestamp = start; timestamp <= end; timestamp += interval) {
+        points.push(timestamp);
+    }
+    return points;
+}
+
+// 0 when every holder has the same number of tokens, approaching 1 when one holder has them all
+function gini(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (sorted.length === 0 || total === 0) {
+        return 0;
+    }
+    const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+    return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+/**
+ * Holder metrics of one point in time.
+ * @param {Map<string, string>} holderMap tokenId -> holder at the point.
+ * @param {Set<string>|null} previousHolders Holders at the previous point, null for the first one.
+ * @returns {{metrics: object, holders: Set<string>}} The holders are passed back in for the next point.
+ */
+function holderMetrics(holderMap, previousHolders) {
+    const counts = new Map();
+    for (const holder of holderMap.values()) {
+        counts.set(holder, (counts.get(holder) || 0) + 1);
+    }
+    const tokenCounts = Array.from(counts.values()).sort((a, b) => b - a);
+    const holders = new Set(counts.keys());
+
+    const distribution = {};
+    for (const [label, min, max] of DISTRIBUTION_BUCKETS) {
+        distribution[label] = tokenCounts.filter((count) => count >= min && count <= max).length;
+    }
+    const topTokens = tokenCounts.slice(0, TOP_HOLDERS).reduce((sum, count) => sum + count, 0);
+
+    let newHolders = null;
+    let exitedHolders = null;
+    if (previousHolders) {
+        newHolders = Array.from(holders).filter((holder) => !previousHolders.has(holder)).length;
+        exitedHolders = Array.from(previousHolders).filter((holder) => !holders.has(holder)).length;
+    }
+
+    return {
+        metrics: {
+            holderCount: holders.size,
+            tokenCount: holderMap.size,
+            distribution,
+            gini: Number(gini(tokenCounts).toFixed(4)),
+            top10Share: holderMap.size > 0 ? Number((topTokens / holderMap.size).toFixed(4)) : 0,
+            newHolders,
+            exitedHolders,
+        },
+        holders,
+    };
+}
+
+function csvValue(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+// json is an array of points, csv flattens the distribution into one column per bucket
+function formatTimeSeries(points, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(points, null, 2);
+        case 'csv': {
+            const columns = ['timestamp', 'date', 'blockNumber', 'holderCount', 'tokenCount', 'gini', 'top10Share', 'newHolders', 'exitedHolders', 'totalEth'];
+            const header = [...columns, ...DISTRIBUTION_BUCKETS.map(([label]) => `holders_${label}`)].join(',');
+            const rows = points.map((point) => [
+                ...columns.map((column) => csvValue(point[column])),
+                ...DISTRIBUTION_BUCKETS.map(([label]) => csvValue(point.distribution[label])),
+            ].join(','));
+            return [header, ...rows].join('\n') + '\n';
+        }
+        case 'ndjson':
+            return points.map((point) => JSON.stringify(point)).join('\n') + '\n';
+        default:
+            throw new Error(`Unknown time series format "${format}"`);
+    }
+}
+
+module.exports = {
+    MAX_POINTS,
+    parseInterval,
+    timePoints,
+    gini,
+    holderMetrics,
+    formatTimeSeries,
+};
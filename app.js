@@ -2,69 +2,208 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const EventCacheDB = require('./db');
 const RateLimiter = require('./ratelimit');
+const { fetchBalances } = require('./balances');
+const { buildHolderReport, formatHolderReport, resolveReportFormat, printReportSummary } = require('./report');
+const { UsageError, usage, parseCli } = require('./cli');
+const { loadEndpoints, ProviderPool } = require('./providers');
+const { ApiServer } = require('./server');
+const { describeTransfers, countHoldings, createNdjsonSink, createWebhookSink } = require('./watch');
+const { setTimeout: sleep } = require('timers/promises');
+const { classifyTransfers, lastSales, summarizeVolume } = require('./enrich');
+const { transferKind, buildHoldingPeriods, currentlyHeld, formatDuration, formatTimestamp } = require('./history');
+const { timePoints, holderMetrics, formatTimeSeries } = require('./analytics');
+const { addressType, applyHolderRules, printExcludedHolders } = require('./classify');
+const { BundleError, writeBundle, readBundle } = require('./bundle');
+const { resolveAssets, summarizeAssets, printAssetTotals } = require('./assets');
+const { logger } = require('./log');
 const fs = require('fs');
 
-// init providers
-const provider = new ethers.JsonRpcProvider('https://mainnet.infura.io/v3/d6badd75497e433d97404405f5a1f8bc');
-const batchProvider = new ethers.JsonRpcProvider('https://eth-mainnet.g.alchemy.com/v2/Py4lN_HYFBhb-rxU7HdJ2_a56N_ZyGRG');
-const contractAddress = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+const DEFAULT_CONTRACT_ADDRESS = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
 
-// init rate limiter
-const rateLimiter = new RateLimiter(25);
+// full nodes keep state for about this many recent blocks, anything older needs an archive node
+const FULL_NODE_STATE_BLOCKS = 128;
+
+// blocks this deep below the head are treated as final
+const DEFAULT_CONFIRMATIONS = 12;
 
 // init contract ABI
 const contractABI = ['event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'];
 
-const startBlock = 12286690; // Start from the first block when the contract was deployed
+// fetch a block's number and timestamp, going through the block_timestamps cache
+async function getBlockHeader(context, blockTag) {
+    const { db } = context;
+    if (typeof blockTag === 'number') {
+        const timestamp = await db.getBlockTimestamp(blockTag);
+        if (timestamp !== null) {
+            return { number: blockTag, timestamp };
+        }
+    }
 
-// init db
-const db = new EventCacheDB();
+    const block = await context.provider.getBlock(blockTag);
+    if (!block) {
+        throw new Error(`Block ${blockTag} not found`);
+    }
+    await db.saveBlockTimestamp(block.number, block.timestamp);
+    return { number: block.number, timestamp: block.timestamp };
+}
 
-async function findBlockByTimestamp(provider, targetTimestamp) {
-    let startBlock = 0;
-    let endBlock = await provider.getBlockNumber();
-    let foundBlock = null;
+/**
+ * Resolves a timestamp to an exact block. Block timestamps strictly increase, so the chain splits into
+ * blocks on the "left" of the target and blocks on its "right"; we search for the boundary between them.
+ * @param {object} context provider and db (EventCacheDB), block timestamps are cached in the db.
+ * @param {number} targetTimestamp Unix timestamp in seconds.
+ * @param {'before'|'after'} direction 'before' returns the last block at or before the timestamp,
+ *   'after' the first block at or after it.
+ * @returns {Promise<{number: number, timestamp: number}>}
+ */
+async function findBlockByTimestamp(context, targetTimestamp, direction = 'before') {
+    const { db } = context;
+    const inclusive = direction === 'before';
+    const isLeft = (block) => (inclusive ? block.timestamp <= targetTimestamp : block.timestamp < targetTimestamp);
 
-    // use binary search to find the block
-    while (startBlock <= endBlock) {
-        const midBlock = Math.floor((startBlock + endBlock) / 2);
-        const block = await provider.getBlock(midBlock);
+    // start from whatever previous lookups already cached around the target
+    let { left, right } = await db.getTimestampBracket(targetTimestamp, inclusive);
 
-        if (!block) {
-            // Handle cases where the block doesn't exist
-            console.error(`Block ${midBlock} not found.`);
-            break;
+    if (!right) {
+        const head = await getBlockHeader(context, 'latest');
+        if (isLeft(head)) {
+            if (inclusive) {
+                return head;
+            }
+            throw new UsageError(`Timestamp ${targetTimestamp} is after the latest block ${head.number} (${head.timestamp})`);
+        }
+        right = head;
+    }
+    if (!left) {
+        const genesis = await getBlockHeader(context, 0);
+        if (!isLeft(genesis)) {
+            if (!inclusive) {
+                return genesis;
+            }
+            throw new UsageError(`Timestamp ${targetTimestamp} is before the genesis block (${genesis.timestamp})`);
         }
+        left = genesis;
+    }
 
-        const blockTimestamp = block.timestamp;
+    // interpolation search: guess the block from the average block time between the bracket ends,
+    // and fall back to bisection whenever a guess fails to at least halve the bracket
+    let bisectNext = false;
+    while (right.number - left.number > 1) {
+        const span = right.number - left.number;
+        let probeNumber;
+        if (bisectNext) {
+            probeNumber = left.number + Math.floor(span / 2);
+        } else {
+            const averageBlockTime = (right.timestamp - left.timestamp) / span;
+            probeNumber = left.number + Math.round((targetTimestamp - left.timestamp) / averageBlockTime);
+        }
+        probeNumber = Math.min(right.number - 1, Math.max(left.number + 1, probeNumber));
 
-        // Define an acceptable tolerance for the timestamp difference in seconds
-        const tolerance = 300;
+        const probe = await getBlockHeader(context, probeNumber);
+        if (isLeft(probe)) {
+            left = probe;
+        } else {
+            right = probe;
+        }
+        bisectNext = !bisectNext && right.number - left.number > span / 2;
+    }
 
-        if (Math.abs(blockTimestamp - targetTimestamp) <= tolerance) {
-            // Found a block within the acceptable tolerance
-            foundBlock = block;
-            break;
-        } else if (blockTimestamp < targetTimestamp) {
-            // Target timestamp is in the future, search in the upper half
-            startBlock = midBlock + 1;
+    return inclusive ? left : right;
+}
+
+// find the first block where the contract has code, needs an archive node for historical getCode
+async function findDeploymentBlock(provider, contractAddress) {
+    let low = 0;
+    let high = await provider.getBlockNumber();
+
+    if ((await provider.getCode(contractAddress, high)) === '0x') {
+        throw new Error(`No contract code at ${contractAddress}`);
+    }
+
+    // use binary search for the lowest block with code
+    while (low < high) {
+        const midBlock = Math.floor((low + high) / 2);
+        const code = await provider.getCode(contractAddress, midBlock);
+        if (code === '0x') {
+            low = midBlock + 1;
         } else {
-            // Target timestamp is in the past, search in the lower half
-            endBlock = midBlock - 1;
+            high = midBlock;
         }
     }
 
-    return foundBlock;
+    return low;
 }
 
-async function getTransactionThroughBlock(provider, contractAddress, targetBlockNumber) {
+// look up a tracked collection, registering it (and detecting its deployment block) on first use
+async function ensureCollection(context, contractAddress, deploymentBlock) {
+    const { provider, db } = context;
+    const existing = await db.getCollection(contractAddress);
+    if (existing) {
+        if (deploymentBlock !== undefined && deploymentBlock !== existing.deploymentBlock) {
+            logger.warn(`${contractAddress} is already registered with deployment block ${existing.deploymentBlock}, ignoring ${deploymentBlock}`);
+        }
+        return existing;
+    }
+
+    if (deploymentBlock === undefined) {
+        logger.info(`Detecting deployment block of ${contractAddress}...`);
+        deploymentBlock = await findDeploymentBlock(provider, contractAddress);
+    }
+    logger.info(`Registering collection ${contractAddress} deployed at block ${deploymentBlock}`);
+    return db.addCollection(contractAddress, deploymentBlock);
+}
+
+// canonical hashes of blocks fromBlock..toBlock, as a Map of blockNumber -> blockHash (null once a block is gone)
+async function getBlockHashes(provider, fromBlock, toBlock) {
+    const blockNumbers = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+        blockNumbers.push(blockNumber);
+    }
+    // issued together so the provider can batch them
+    const blocks = await Promise.all(blockNumbers.map((blockNumber) => provider.getBlock(blockNumber)));
+    return new Map(blockNumbers.map((blockNumber, index) => [blockNumber, blocks[index] ? blocks[index].hash : null]));
+}
+
+// compare the hashes recorded for unconfirmed blocks with the canonical chain, and roll the collection's
+// cache back to the first block that no longer matches
+async function rollbackReorgedBlocks(context, contractAddress) {
+    const { provider, db } = context;
+    const recorded = await db.getBlockHashes(contractAddress);
+    if (recorded.length === 0) {
+        return null;
+    }
+
+    const blocks = await Promise.all(recorded.map((row) => provider.getBlock(row.blockNumber)));
+    const forkIndex = recorded.findIndex((row, index) => !blocks[index] || blocks[index].hash !== row.blockHash);
+    if (forkIndex === -1) {
+        return null;
+    }
+
+    const forkBlock = recorded[forkIndex].blockNumber;
+    logger.warn(`Chain reorganization detected at block ${forkBlock}, rolling back cached data of ${contractAddress} from there`);
+    await db.rollbackFromBlock(contractAddress, forkBlock);
+    return forkBlock;
+}
+
+// sync a collection's Transfer events into the cache through the target block, timed as the sync phase
+async function getTransactionThroughBlock(context, contractAddress, targetBlockNumber, confirmations = DEFAULT_CONFIRMATIONS) {
+    return logger.phase('sync', () => syncThroughBlock(context, contractAddress, targetBlockNumber, confirmations));
+}
+
+async function syncThroughBlock(context, contractAddress, targetBlockNumber, confirmations) {
+    const { provider, db, rateLimiter } = context;
     // init contract
     const contract = new ethers.Contract(contractAddress, contractABI, provider);
     // init filter
     const holder = contract.filters.Transfer();
 
-    let currentBlock = startBlock;
-    let maxBlock = targetBlockNumber;
+    const collection = await ensureCollection(context, contractAddress);
+
+    // drop anything a reorg replaced since the last sync, the gaps below then cover it again
+    await rollbackReorgedBlocks(context, contractAddress);
+
+    // blocks above safeBlock may still be reorged, their hashes are recorded so the next sync can check them
+    const safeBlock = (await provider.getBlockNumber()) - confirmations;
 
     // Dynamic Chunk Sizing Parameters
     let currentChunkSize = 50000;
@@ -73,153 +212,182 @@ async function getTransactionThroughBlock(provider, contractAddress, targetBlock
     const MAX_LOGS_PER_QUERY = 9500;
     const MIN_LOGS_TO_INCREASE_CHUNK = 1000;
 
-    // get highest cached block
-    let highestCachedBlock = await db.GetHighestCachedBlock();
-    if (highestCachedBlock >= maxBlock) {
-        // if the highest cached block is greater than the max block, exit. no need to query
-        console.log('No events to query, exiting...');
+    // only fetch ranges never fully synced, this also backfills holes below the highest synced block
+    const gaps = await db.getUnsyncedRanges(contractAddress, collection.deploymentBlock, targetBlockNumber);
+    if (gaps.length === 0) {
+        // the collection is already synced through the target block, no need to query
+        logger.info(`${contractAddress} is already synced through block ${targetBlockNumber}`);
+        await db.pruneBlockHashes(contractAddress, safeBlock);
         return;
     }
 
-    let startTime = Date.now();
-
-    while (currentBlock <= maxBlock) {
-        // if the highest cached block is greater than the current block, skip to the highest cached block
-        if (highestCachedBlock > currentBlock) {
-            console.log('Skipping to current block...');
-            currentBlock = highestCachedBlock;
-            continue;
-        }
-
-        // get the end block of the chunk
-        let toBlockChunk = Math.min(currentBlock + currentChunkSize - 1, maxBlock);
-        console.log(`Querying events from block ${currentBlock} to ${toBlockChunk}...`);
-
-        try {
-            // query the events
-            const events = await contract.queryFilter(holder, currentBlock, toBlockChunk);
-            console.log(`Received ${events.length} logs`);
-
-            // insert the events into the db for caching
-            await db.bulkInsertEvents(events);
-
-            // if the events length is greater than the max logs per query, decrease the chunk size
-            if (events.length >= MAX_LOGS_PER_QUERY) {
-                console.warn(`High event density detected (received ${events.length} logs). Decreasing next chunk size.`);
-                currentChunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(currentChunkSize * 0.75)); // Reduce by 25%
-                console.log(`chunk size changed to ${currentChunkSize}`);
-            } else if (events.length < MIN_LOGS_TO_INCREASE_CHUNK && currentChunkSize < MAX_CHUNK_SIZE) {
-                console.log(`Low event density detected (received ${events.length} logs). Increasing next chunk size.`);
-                currentChunkSize = Math.min(MAX_CHUNK_SIZE, Math.floor(currentChunkSize * 1.25)); // Increase by 25%
-                console.log(`chunk size changed to ${currentChunkSize}`);
-            } else if (events.length === 0 && currentChunkSize < MAX_CHUNK_SIZE) {
-                // if no events, dramatically increase chunk size
-                currentChunkSize = Math.min(MAX_CHUNK_SIZE, currentChunkSize * 2);
-                console.log(`chunk size changed to ${currentChunkSize}`);
-            }
+    const changeChunkSize = (chunkSize, reason) => {
+        logger.count('chunkSizeChanges');
+        logger.debug(`chunk size changed to ${chunkSize}, ${reason}`, { chunkSize });
+        return chunkSize;
+    };
+    const progress = logger.progress('sync', gaps.reduce((sum, gap) => sum + gap.toBlock - gap.fromBlock + 1, 0), 'blocks');
 
-            currentBlock = toBlockChunk + 1;
-            console.log(`--------------------------------`);
-        } catch (error) {
-            console.error(`Error querying events from ${currentBlock} to ${toBlockChunk}:`, error.message);
+    for (const gap of gaps) {
+        let currentBlock = gap.fromBlock;
+        let maxBlock = gap.toBlock;
+        logger.info(`Syncing blocks ${currentBlock} to ${maxBlock}...`);
 
-            // if the query returned more than 10000 logs, cut the chunk size in half
-            if (error.message.includes('query returned more than')) {
-                console.log('Query returned more than 10000 logs, cutting chunk size in half...');
-                currentChunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(currentChunkSize * 0.5));
-                console.log(`chunk size changed to ${currentChunkSize}`);
-            }
+        while (currentBlock <= maxBlock) {
+            // get the end block of the chunk
+            let toBlockChunk = Math.min(currentBlock + currentChunkSize - 1, maxBlock);
+
+            try {
+                // query the events, the rate limiter paces the queries and retries throttled or failed ones
+                const events = await rateLimiter.add(() => contract.queryFilter(holder, currentBlock, toBlockChunk));
+                logger.debug(`Received ${events.length} logs from blocks ${currentBlock} to ${toBlockChunk}`, { fromBlock: currentBlock, toBlock: toBlockChunk, logs: events.length });
+
+                // record hashes of unconfirmed blocks, and make sure the logs came from those same blocks
+                let unconfirmedHashes = null;
+                if (toBlockChunk > safeBlock) {
+                    unconfirmedHashes = await getBlockHashes(provider, Math.max(currentBlock, safeBlock + 1), toBlockChunk);
+                    const staleEvent = events.find((event) => unconfirmedHashes.has(event.blockNumber) && unconfirmedHashes.get(event.blockNumber) !== event.blockHash);
+                    if (staleEvent) {
+                        throw new Error(`Chain reorganized while fetching block ${staleEvent.blockNumber}`);
+                    }
+                }
+
+                // insert the events into the db for caching, then mark the chunk as fully synced
+                await db.bulkInsertEvents(events);
+                if (unconfirmedHashes) {
+                    await db.saveBlockHashes(contractAddress, unconfirmedHashes);
+                }
+                await db.addSyncedRange(contractAddress, currentBlock, toBlockChunk);
+
+                // if the events length is greater than the max logs per query, decrease the chunk size
+                if (events.length >= MAX_LOGS_PER_QUERY) {
+                    // Reduce by 25%
+                    currentChunkSize = changeChunkSize(Math.max(MIN_CHUNK_SIZE, Math.floor(currentChunkSize * 0.75)), `high event density (${events.length} logs)`);
+                } else if (events.length < MIN_LOGS_TO_INCREASE_CHUNK && currentChunkSize < MAX_CHUNK_SIZE) {
+                    // Increase by 25%
+                    currentChunkSize = changeChunkSize(Math.min(MAX_CHUNK_SIZE, Math.floor(currentChunkSize * 1.25)), `low event density (${events.length} logs)`);
+                } else if (events.length === 0 && currentChunkSize < MAX_CHUNK_SIZE) {
+                    // if no events, dramatically increase chunk size
+                    currentChunkSize = changeChunkSize(Math.min(MAX_CHUNK_SIZE, currentChunkSize * 2), 'no events');
+                }
 
-            // implement retry logic or backoff here if hitting rate limits
-            await new Promise((resolve) => setTimeout(resolve, 150));
-            console.log(`--------------------------------`);
-            continue;
+                progress.tick(toBlockChunk - currentBlock + 1);
+                currentBlock = toBlockChunk + 1;
+            } catch (error) {
+                // if the query returned more than 10000 logs, cut the chunk size in half
+                if (error.message.includes('query returned more than')) {
+                    currentChunkSize = changeChunkSize(Math.max(MIN_CHUNK_SIZE, Math.floor(currentChunkSize * 0.5)), `blocks ${currentBlock} to ${toBlockChunk} hold too many logs`);
+                } else if (error.message.startsWith('Chain reorganized')) {
+                    logger.warn(`${error.message}, querying blocks ${currentBlock} to ${toBlockChunk} again`);
+                } else {
+                    // the rate limiter already retried anything transient, the synced ranges so far are kept
+                    progress.finish();
+                    throw error;
+                }
+
+                // query the chunk again
+                continue;
+            }
         }
     }
-    let timeEnd = Date.now();
-    // log the time taken
-    console.log(`Time taken: ${timeEnd - startTime}ms`);
+    progress.finish();
+    await db.pruneBlockHashes(contractAddress, safeBlock);
 }
 
-async function getHolderMapByBlock(startBlock, targetBlockNumber) {
-    // get the events from the db
-    const transferEvent = await db.getEventsByBlockRange(startBlock, targetBlockNumber);
-    console.log(`Queried ${transferEvent.length} logs between block ${startBlock} and ${targetBlockNumber}`);
-
-    // init holder map
-    let holderMap = new Map();
-    // iterate the events
-    for (const [index, event] of transferEvent.entries()) {
+// apply Transfer events to a holder map in chain order
+function replayTransfers(holderMap, events) {
+    for (const event of events) {
         // get the holder
         const holder = event.args.to.toString();
         // get the token id
         const tokenId = event.args.tokenId.toString();
 
         // if the holder is the zero address, delete the token id
-        if (holder === '0x0000000000000000000000000000000000000000') {
+        if (holder === ethers.ZeroAddress) {
             holderMap.delete(tokenId);
         } else {
             // set the holder
             holderMap.set(tokenId, holder);
         }
-
-        console.log(`${index} of ${transferEvent.length}`);
     }
-
     return holderMap;
 }
 
-async function getWalletBalance(provider, walletAddress, targetBlockNumber) {
-    let completed = 0;
-    const updateInterval = Math.max(1, Math.floor(walletAddress.length / 100));
-    const fetchBalanceWithRetry = async (address) => {
-        const MAX_RETRIES = Infinity;
-        const RETRY_DELAY_MS = 2000;
+// undo Transfer events (passed in chain order), handing every token back to its previous owner
+function unwindTransfers(holderMap, events) {
+    for (const event of [...events].reverse()) {
+        const previousHolder = event.args.from.toString();
+        const tokenId = event.args.tokenId.toString();
 
-        let attempts = 0;
-        while (attempts < MAX_RETRIES) {
-            attempts++;
-            try {
-                const balance = await provider.getBalance(address, targetBlockNumber);
-                // return the balance
-                return balance;
-            } catch (error) {
-                console.warn(
-                    `Attempt ${attempts}: Could not get balance for ${address} at block ${targetBlockNumber}. ` +
-                    `Error: ${error.message}. Retrying in ${RETRY_DELAY_MS / 1000} seconds...`
-                );
-                // add a delay before retrying
-                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
-            }
+        // undoing a mint removes the token again
+        if (previousHolder === ethers.ZeroAddress) {
+            holderMap.delete(tokenId);
+        } else {
+            holderMap.set(tokenId, previousHolder);
         }
-        // if MAX_RETRIES is not Infinity and loop finishes, it means all retries failed.
-        // for infinite retries, this part should ideally not be reached unless a critical error
-        // prevents the loop from continuing.
-        console.error(`Failed to get balance for ${address} after ${MAX_RETRIES} attempts.`);
-        return ethers.parseUnits('0', 'wei');
-    };
+    }
+    return holderMap;
+}
 
-    // insert to rate limiter
-    const balances = walletAddress.map((address) => {
-        return rateLimiter.add(() => {
-            return fetchBalanceWithRetry(address, targetBlockNumber).then((balance) => {
-                completed++;
-                console.log(`${completed} of ${walletAddress.length}`);
-                return balance;
-            }).catch((error) => {
-                // retry
-                console.error(`A critical error occurred for ${address} after retries:`, error);
-                if (completed % updateInterval === 0 || completed === walletAddress.length) {
-                    console.log(`  Balance requests completed: ${completed}/${walletAddress.length} (${((completed / walletAddress.length) * 100).toFixed(1)}%)`);
-                }
-                return ethers.parseUnits('0', 'wei');
-            });
-        });
-    });
+// tokenId -> holder of a collection at a block, from the cache, timed as the holders phase
+async function getHolderMapByBlock(context, contractAddress, startBlock, targetBlockNumber) {
+    return logger.phase('holders', () => rebuildHolderMap(context, contractAddress, startBlock, targetBlockNumber));
+}
+
+async function rebuildHolderMap(context, contractAddress, startBlock, targetBlockNumber) {
+    const { db } = context;
+    // the holder map can be reached two ways: replay forward from the nearest earlier snapshot (or from
+    // startBlock), or unwind backward from the current ownership state. pick whichever touches fewer events
+    const snapshot = await db.getNearestHolderSnapshot(contractAddress, targetBlockNumber);
+    const baseBlock = snapshot && snapshot.blockNumber >= startBlock ? snapshot.blockNumber : startBlock - 1;
+    const forwardCount = await db.countEventsByBlockRange(contractAddress, baseBlock + 1, targetBlockNumber);
+
+    // the current state covers every cached event, so it is only usable when none precede startBlock
+    const latestEventBlock = await db.GetHighestCachedBlock(contractAddress);
+    const backwardUsable = (await db.countEventsByBlockRange(contractAddress, 0, startBlock - 1)) === 0;
+    const backwardCount = await db.countEventsByBlockRange(contractAddress, targetBlockNumber + 1, latestEventBlock);
+
+    if (backwardUsable && backwardCount <= forwardCount) {
+        const holderMap = await db.getCurrentOwners(contractAddress);
+        const transferEvent = await db.getEventsByBlockRange(contractAddress, targetBlockNumber + 1, latestEventBlock);
+        logger.debug(`Unwound ${transferEvent.length} logs from the current ownership state back to block ${targetBlockNumber}`);
+        return unwindTransfers(holderMap, transferEvent);
+    }
+
+    const holderMap = snapshot && snapshot.blockNumber >= startBlock
+        ? await db.getHolderSnapshot(contractAddress, snapshot.blockNumber)
+        : new Map();
+    // get the collection's events from the db
+    const transferEvent = await db.getEventsByBlockRange(contractAddress, baseBlock + 1, targetBlockNumber);
+    logger.debug(`Replayed ${transferEvent.length} logs between block ${baseBlock + 1} and ${targetBlockNumber}`);
+    return replayTransfers(holderMap, transferEvent);
+}
 
+// balance of every address at the block, as a Map of address -> wei
+async function getHolderBalances(context, walletAddress, targetBlockNumber, options = {}) {
+    const { provider, rateLimiter } = context;
+    const balances = await logger.phase('balances', () => fetchBalances(provider, walletAddress, targetBlockNumber, { rateLimiter, ...options }));
+    return new Map(walletAddress.map((address, index) => [address, balances[index]]));
+}
+
+// balance of every address in each asset at the block, as [{ asset, balances: Map of address -> amount }]
+// with amounts in the asset's smallest unit, one fetch per asset
+async function getAssetBalances(context, walletAddress, targetBlockNumber, assets, options = {}) {
+    const { provider, rateLimiter } = context;
+    const assetBalances = [];
+    for (const asset of assets) {
+        const balances = await logger.phase('balances', () => fetchBalances(provider, walletAddress, targetBlockNumber, { rateLimiter, ...options, token: asset.address }));
+        assetBalances.push({ asset, balances: new Map(walletAddress.map((address, index) => [address, balances[index]])) });
+    }
+    return assetBalances;
+}
+
+// options are passed on to fetchBalances: backend ('multicall', 'batch' or 'single') and batchSize
+async function getWalletBalance(context, walletAddress, targetBlockNumber, options = {}) {
+    const { provider, rateLimiter } = context;
     try {
         // get the balances
-        const balanceEth = await Promise.all(balances);
+        const balanceEth = await logger.phase('balances', () => fetchBalances(provider, walletAddress, targetBlockNumber, { rateLimiter, ...options }));
         let sum = ethers.toBigInt(0);
 
         balanceEth.forEach(balance => {
@@ -229,44 +397,786 @@ async function getWalletBalance(provider, walletAddress, targetBlockNumber) {
         // format to ether and return
         return ethers.formatEther(sum);
     } catch (error) {
-        console.error('Error fetching balances:', error);
+        logger.error(`Error fetching balances: ${error.message}`);
         throw error;
     }
 }
 
-const main = async () => {
-    // get timestamp from user input
-    const targetUnixTimestamp = process.argv[2];
-    // find block by timestamp
-    const block = await findBlockByTimestamp(provider, targetUnixTimestamp);
+// resolve --block / --timestamp into a concrete block number, defaulting to the chain head
+async function resolveTargetBlock(context, options) {
+    const { provider } = context;
+    if (options.timestamp !== undefined) {
+        const block = await findBlockByTimestamp(context, options.timestamp, options.direction);
+        logger.info(`Found block ${block.number} with timestamp ${block.timestamp}`);
+        return block.number;
+    }
+
+    const latestBlock = await provider.getBlockNumber();
+    if (options.block === undefined || options.block === 'latest') {
+        return latestBlock;
+    }
+
+    if (options.block > latestBlock) {
+        throw new UsageError(`Block ${options.block} is beyond the current chain head ${latestBlock}`);
+    }
+    return options.block;
+}
+
+function getUniqueHolders(holderMap) {
+    // a Set drops holders owning more than one token
+    return Array.from(new Set(holderMap.values()));
+}
+
+// EOA or contract for every address at the block, from the address_types cache or with getCode
+async function getAddressTypes(context, addresses, blockNumber) {
+    const { provider, db, rateLimiter } = context;
+    const types = await db.getAddressTypes(addresses, blockNumber);
+    const unknown = addresses.filter((address) => !types.has(address));
+    if (unknown.length > 0) {
+        logger.info(`Checking code of ${unknown.length} holders at block ${blockNumber} (${types.size} cached)`);
+        const progress = logger.progress('classify', unknown.length, 'holders');
+        const codes = await logger.phase('classify', () => Promise.all(unknown.map(async (address) => {
+            const code = await rateLimiter.add(() => provider.getCode(address, blockNumber));
+            progress.tick();
+            return code;
+        }))).finally(() => progress.finish());
+        const fetched = new Map(unknown.map((address, index) => [address, addressType(codes[index])]));
+        await db.saveAddressTypes(blockNumber, fetched);
+        for (const [address, type] of fetched) {
+            types.set(address, type);
+        }
+    }
+    return types;
+}
+
+// the holders a balance sum or report counts under --holder-type, --include and --exclude. holders are only
+// classified when --holder-type needs it or `classify` is set, as that takes a getCode per uncached holder
+async function selectHolders(context, holderMap, blockNumber, options, { classify = false } = {}) {
+    const types = classify || options.holderType !== 'all'
+        ? await getAddressTypes(context, getUniqueHolders(holderMap), blockNumber)
+        : null;
+    return { types, ...applyHolderRules(holderMap, types, options) };
+}
+
+async function requireHistoricalState(provider, blockNumber) {
+    const latestBlock = await provider.getBlockNumber();
+    if (latestBlock - blockNumber > FULL_NODE_STATE_BLOCKS) {
+        await provider.ensureArchive();
+    }
+}
+
+function balanceOptions(options) {
+    return { backend: options.balanceBackend, batchSize: options.batchSize };
+}
+
+// the balance sum of balance and snapshot: the holders' ETH, or with --asset the total of every asset listed
+// and with --prices their value in ETH
+async function sumHolderBalances(context, holders, targetBlock, options) {
+    const { provider, rateLimiter } = context;
+    if (!options.assets) {
+        const totalEth = await getWalletBalance(context, holders, targetBlock, balanceOptions(options));
+        console.log('Total sum in ether: ', totalEth);
+        return { totalEth };
+    }
+
+    const assets = await resolveAssets(provider, options.assets, targetBlock, rateLimiter);
+    const summary = summarizeAssets(await getAssetBalances(context, holders, targetBlock, assets, balanceOptions(options)), options.prices);
+    printAssetTotals(summary);
+    const native = summary.assets.find((asset) => asset.kind === 'native');
+    return { totalEth: native ? native.total : null, ...summary };
+}
+
+function writeOutput(outputPath, result) {
+    // commands that write their own output return nothing
+    if (!outputPath || result === undefined) {
+        return;
+    }
+    fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
+    logger.info(`Result written to ${outputPath}`);
+}
+
+// holder map of a tracked collection, read from the cache
+async function loadHolderMap(context, contractAddress, targetBlock) {
+    const { db } = context;
+    const collection = await db.getCollection(contractAddress);
+    if (!collection) {
+        throw new UsageError(`${contractAddress} is not tracked yet, run: node app.js sync --contract ${contractAddress}`);
+    }
+    if (collection.syncedThroughBlock < targetBlock) {
+        logger.warn(`Cache for ${contractAddress} is only synced through block ${collection.syncedThroughBlock}, holders after it are missing`);
+    }
+    return getHolderMapByBlock(context, contractAddress, collection.deploymentBlock, targetBlock);
+}
+
+// a snapshot is only stored when every block up to it is cached, otherwise later reads would trust a partial map
+async function saveHolderSnapshot(context, contractAddress, blockNumber, holderMap) {
+    const { db } = context;
+    const collection = await db.getCollection(contractAddress);
+    const holes = await db.getUnsyncedRanges(contractAddress, collection.deploymentBlock, blockNumber);
+    if (holes.length > 0) {
+        throw new Error(`Cannot save a holder snapshot at block ${blockNumber}: blocks ${holes[0].fromBlock} to ${holes[0].toBlock} are not synced`);
+    }
+    await db.saveHolderSnapshot(contractAddress, blockNumber, holderMap);
+    logger.info(`Saved holder snapshot of ${contractAddress} at block ${blockNumber}`);
+}
+
+// fill in the timestamps of blocks not in block_timestamps yet, fetched once per block and cached from then on
+async function addBlockTimestamps(context, transfers) {
+    const missing = Array.from(new Set(transfers.filter((transfer) => transfer.timestamp == null).map((transfer) => transfer.blockNumber)));
+    const headers = await Promise.all(missing.map((blockNumber) => getBlockHeader(context, blockNumber)));
+    const timestamps = new Map(headers.map((header) => [header.number, header.timestamp]));
+    for (const transfer of transfers) {
+        if (transfer.timestamp == null) {
+            transfer.timestamp = timestamps.get(transfer.blockNumber);
+        }
+    }
+    return transfers;
+}
+
+// transfers are enriched in pages, each saved before the next is fetched so an interrupted run resumes
+const ENRICH_PAGE_SIZE = 500;
+
+async function enrichTransfers(context, contractAddress, fromBlock, toBlock) {
+    const { provider, db, rateLimiter } = context;
+    const total = await db.countUnenrichedTransfers(contractAddress, fromBlock, toBlock);
+    logger.info(`${total} transfers between block ${fromBlock} and ${toBlock} to enrich`);
+
+    const progress = logger.progress('enrich', total, 'transfers');
+    let enriched = 0;
+    for (;;) {
+        const transfers = await db.getUnenrichedTransfers(contractAddress, fromBlock, toBlock, ENRICH_PAGE_SIZE);
+        if (transfers.length === 0) {
+            break;
+        }
+
+        // one transaction and receipt per transaction hash, however many tokens it moved
+        const byTransaction = new Map();
+        for (const transfer of transfers) {
+            if (!byTransaction.has(transfer.transactionHash)) {
+                byTransaction.set(transfer.transactionHash, []);
+            }
+            byTransaction.get(transfer.transactionHash).push(transfer);
+        }
+        const details = await Promise.all(Array.from(byTransaction, async ([transactionHash, transactionTransfers]) => {
+            const [transaction, receipt] = await Promise.all([
+                rateLimiter.add(() => provider.getTransaction(transactionHash)),
+                rateLimiter.add(() => provider.getTransactionReceipt(transactionHash)),
+            ]);
+            if (!transaction || !receipt) {
+                throw new Error(`Transaction ${transactionHash} not found`);
+            }
+            return classifyTransfers(transactionTransfers, transaction, receipt);
+        }));
+
+        await db.saveTransferDetails(contractAddress, details.flat());
+        enriched += transfers.length;
+        progress.tick(transfers.length);
+    }
+    progress.finish();
+    return enriched;
+}
+
+// block range of the volume and enrichment commands: --from-block (default: deployment) through the target block
+async function resolveBlockRange(context, collection, options) {
+    const toBlock = await resolveTargetBlock(context, options);
+    const fromBlock = options.fromBlock !== undefined ? options.fromBlock : collection.deploymentBlock;
+    if (fromBlock > toBlock) {
+        throw new UsageError(`--from-block ${fromBlock} is after the target block ${toBlock}`);
+    }
+    if (collection.syncedThroughBlock < toBlock) {
+        logger.warn(`Cache for ${collection.address} is only synced through block ${collection.syncedThroughBlock}, transfers after it are missing`);
+    }
+    return { fromBlock, toBlock };
+}
+
+// prices only cover enriched transfers, say so when part of the range was never enriched
+async function warnUnenriched(context, contractAddress, fromBlock, toBlock) {
+    const { db } = context;
+    const count = await db.countUnenrichedTransfers(contractAddress, fromBlock, toBlock);
+    if (count > 0) {
+        logger.warn(`${count} transfers between block ${fromBlock} and ${toBlock} are not enriched yet, run: node app.js enrich --contract ${contractAddress}`);
+    }
+}
+
+// history is read from the cache, so the collection has to be tracked
+async function requireCollection(context, contractAddress) {
+    const { db } = context;
+    const collection = await db.getCollection(contractAddress);
+    if (!collection) {
+        throw new UsageError(`${contractAddress} is not tracked yet, run: node app.js sync --contract ${contractAddress}`);
+    }
+    logger.info(`History of ${contractAddress} as cached, synced through block ${collection.syncedThroughBlock}`);
+    return collection;
+}
+
+// serve and watch run for long, re-probing the endpoints lets one that answers again rejoin the rotation
+// before its cooldown is over. returns the function that stops the checks
+function startHealthChecks(provider, options) {
+    if (!(provider instanceof ProviderPool) || !(options.healthCheckInterval > 0)) {
+        return () => {};
+    }
+    provider.startHealthChecks(options.healthCheckInterval * 1000);
+    return () => provider.stopHealthChecks();
+}
+
+const commands = {
+    serve: async (context) => {
+        const { provider, db, contractAddress, options } = context;
+        const confirmations = options.confirmations !== undefined ? options.confirmations : DEFAULT_CONFIRMATIONS;
+        const server = new ApiServer({
+            db,
+            defaultContract: contractAddress,
+            confirmations,
+            getLatestBlock: () => provider.getBlockNumber(),
+            findBlockByTimestamp: (timestamp, direction) => findBlockByTimestamp(context, timestamp, direction),
+            getHolderMap: (collection, blockNumber) => getHolderMapByBlock(context, collection.address, collection.deploymentBlock, blockNumber),
+            getBalanceSum: async (holders, blockNumber) => {
+                await requireHistoricalState(provider, blockNumber);
+                return getWalletBalance(context, holders, blockNumber, balanceOptions(options));
+            },
+            syncCollection: (address, blockNumber) => getTransactionThroughBlock(context, address, blockNumber, confirmations),
+        }, { syncIntervalMs: options.syncInterval * 1000 });
+
+        await server.listen(options.port, options.host);
+        const stopHealthChecks = startHealthChecks(provider, options);
+        // serve until interrupted, then let a running sync finish before the db is closed
+        await new Promise((resolve) => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+        logger.info('Shutting down...');
+        stopHealthChecks();
+        await server.close();
+    },
+
+    'token-history': async (context) => {
+        const { db, contractAddress, options } = context;
+        await requireCollection(context, contractAddress);
+        const transfers = await db.getTokenHistory(contractAddress, options.token);
+        if (transfers.length === 0) {
+            console.log(`No transfers of token ${options.token} cached`);
+            return [];
+        }
+
+        await addBlockTimestamps(context, transfers);
+        for (const transfer of transfers) {
+            console.log(`block ${transfer.blockNumber} (${formatTimestamp(transfer.timestamp)}) ${transferKind(transfer)} ${transfer.from} -> ${transfer.to}  tx ${transfer.transactionHash}`);
+        }
+        return transfers.map((transfer) => ({ kind: transferKind(transfer), ...transfer }));
+    },
+
+    'wallet-history': async (context) => {
+        const { db, contractAddress, options } = context;
+        await requireCollection(context, contractAddress);
+        const transfers = await addBlockTimestamps(context, await db.getWalletTransfers(contractAddress, options.wallet));
+        const periods = buildHoldingPeriods(transfers, options.wallet);
+
+        for (const period of periods) {
+            const from = period.acquired ? `block ${period.acquired.blockNumber} (${formatTimestamp(period.acquired.timestamp)})` : 'before the cached history';
+            const to = period.released ? `block ${period.released.blockNumber} (${formatTimestamp(period.released.timestamp)})` : 'now';
+            console.log(`token ${period.tokenId}: held from ${from} to ${to}, ${formatDuration(period.heldSeconds)}`);
+        }
+        const held = currentlyHeld(periods);
+        console.log(`${options.wallet} held ${new Set(periods.map((period) => period.tokenId)).size} different tokens, ${held.length} of them now`);
+        return { contractAddress, wallet: options.wallet, currentlyHeld: held, periods };
+    },
+
+    'transfers-between': async (context) => {
+        const { db, contractAddress, options } = context;
+        await requireCollection(context, contractAddress);
+        const transfers = await addBlockTimestamps(context, await db.getTransfersBetween(contractAddress, options.wallet, options.counterparty));
+
+        for (const transfer of transfers) {
+            const direction = transfer.from === options.wallet ? 'sent' : 'received';
+            console.log(`block ${transfer.blockNumber} (${formatTimestamp(transfer.timestamp)}) ${direction} token ${transfer.tokenId}  tx ${transfer.transactionHash}`);
+        }
+        console.log(`${transfers.length} transfers between ${options.wallet} and ${options.counterparty}`);
+        return transfers;
+    },
+
+    enrich: async (context) => {
+        const { contractAddress, options } = context;
+        const collection = await requireCollection(context, contractAddress);
+        const { fromBlock, toBlock } = await resolveBlockRange(context, collection, options);
+        const enriched = await logger.phase('enrich', () => enrichTransfers(context, contractAddress, fromBlock, toBlock));
+        return { contractAddress, fromBlock, toBlock, enriched };
+    },
+
+    'last-sales': async (context) => {
+        const { db, contractAddress, options } = context;
+        const collection = await requireCollection(context, contractAddress);
+        const toBlock = await resolveTargetBlock(context, options);
+        await warnUnenriched(context, contractAddress, collection.deploymentBlock, toBlock);
+
+        const sales = lastSales(await addBlockTimestamps(context, await db.getSales(contractAddress, collection.deploymentBlock, toBlock)));
+        for (const sale of sales) {
+            console.log(`token ${sale.tokenId}: ${sale.priceEth} ETH at block ${sale.blockNumber} (${formatTimestamp(sale.timestamp)}) on ${sale.marketplace || 'unknown marketplace'}`);
+        }
+        console.log(`${sales.length} tokens sold at least once through block ${toBlock}`);
+        return sales;
+    },
+
+    volume: async (context) => {
+        const { db, contractAddress, options } = context;
+        const collection = await requireCollection(context, contractAddress);
+        const { fromBlock, toBlock } = await resolveBlockRange(context, collection, options);
+        await warnUnenriched(context, contractAddress, fromBlock, toBlock);
+
+        const summary = summarizeVolume(await db.getSales(contractAddress, fromBlock, toBlock));
+        console.log(`Volume of ${contractAddress} between block ${fromBlock} and ${toBlock}`);
+        console.log(`  sales: ${summary.saleCount}, volume: ${summary.volumeEth} ETH (${summary.ethVolumeEth} ETH + ${summary.wethVolumeEth} WETH), average: ${summary.averagePriceEth} ETH`);
+        for (const marketplace of summary.byMarketplace) {
+            console.log(`    ${marketplace.marketplace}: ${marketplace.saleCount} sales, ${marketplace.volumeEth} ETH`);
+        }
+        return { contractAddress, fromBlock, toBlock, ...summary };
+    },
+
+    timeseries: async (context) => {
+        const { provider, db, contractAddress, options } = context;
+        const timestamps = timePoints(options.start, options.end, options.interval);
+        const blocks = [];
+        for (const timestamp of timestamps) {
+            blocks.push((await findBlockByTimestamp(context, timestamp, 'before')).number);
+        }
+        logger.info(`${timestamps.length} points between block ${blocks[0]} and ${blocks[blocks.length - 1]}`);
+
+        // the holder map is built once for the first point, every later point only replays the transfers since the previous one
+        const holderMap = await loadHolderMap(context, contractAddress, blocks[0]);
+        const collection = await db.getCollection(contractAddress);
+        if (collection.syncedThroughBlock < blocks[blocks.length - 1]) {
+            logger.warn(`Cache for ${contractAddress} is only synced through block ${collection.syncedThroughBlock}, later points miss transfers`);
+        }
+        if (!options.skipBalances) {
+            await requireHistoricalState(provider, blocks[0]);
+        }
 
-    if (block) {
+        const points = [];
+        let previousHolders = null;
+        for (let index = 0; index < timestamps.length; index++) {
+            const blockNumber = blocks[index];
+            if (index > 0 && blockNumber > blocks[index - 1]) {
+                replayTransfers(holderMap, await db.getEventsByBlockRange(contractAddress, blocks[index - 1] + 1, blockNumber));
+            }
+            const { metrics, holders } = holderMetrics(holderMap, previousHolders);
+            previousHolders = holders;
+
+            const totalEth = options.skipBalances
+                ? null
+                : await getWalletBalance(context, Array.from(holders), blockNumber, balanceOptions(options));
+            const point = { timestamp: timestamps[index], date: new Date(timestamps[index] * 1000).toISOString(), blockNumber, ...metrics, totalEth };
+            points.push(point);
+
+            const churn = point.newHolders === null ? '' : `, +${point.newHolders}/-${point.exitedHolders} holders`;
+            const balance = totalEth === null ? '' : `, ${totalEth} ETH`;
+            console.log(`${point.date} block ${blockNumber}: ${point.holderCount} holders of ${point.tokenCount} tokens, gini ${point.gini}, top 10 ${point.top10Share}${churn}${balance}`);
+        }
+
+        if (options.output) {
+            const format = resolveReportFormat(options.format, options.output);
+            fs.writeFileSync(options.output, formatTimeSeries(points, format));
+            logger.info(`${format} time series written to ${options.output}`);
+            return undefined;
+        }
+        return points;
+    },
+
+    watch: async (context) => {
+        const { provider, db, contractAddress, options } = context;
+        const confirmations = options.confirmations !== undefined ? options.confirmations : DEFAULT_CONFIRMATIONS;
+        let contractAddresses = [contractAddress];
+        if (options.all) {
+            contractAddresses = (await db.getCollections()).map((collection) => collection.address);
+        } else {
+            await ensureCollection(context, contractAddress, options.deploymentBlock);
+        }
+
+        const emit = options.webhook ? createWebhookSink(options.webhook) : createNdjsonSink(process.stdout);
+
+        // Ctrl+C stops polling once the round in progress is done
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        // catch up to the confirmed head, events are emitted for every block confirmed after that. only
+        // confirmed blocks are emitted, so an event is never taken back by a reorg
+        const watched = new Map();
+        const startBlock = (await provider.getBlockNumber()) - confirmations;
+        for (const address of contractAddresses) {
+            await getTransactionThroughBlock(context, address, startBlock, confirmations);
+            const collection = await db.getCollection(address);
+            const holderMap = await getHolderMapByBlock(context, address, collection.deploymentBlock, startBlock);
+            watched.set(address, { throughBlock: startBlock, holdings: countHoldings(holderMap) });
+        }
+        logger.info(`Watching ${contractAddresses.join(', ')} from block ${startBlock + 1}, polling every ${options.pollInterval}s`);
+
+        const stopHealthChecks = startHealthChecks(provider, options);
+        while (!controller.signal.aborted) {
+            try {
+                await sleep(options.pollInterval * 1000, undefined, { signal: controller.signal });
+            } catch (error) {
+                break;
+            }
+
+            try {
+                const confirmedBlock = (await provider.getBlockNumber()) - confirmations;
+                for (const [address, state] of watched) {
+                    if (confirmedBlock <= state.throughBlock) {
+                        continue;
+                    }
+                    await getTransactionThroughBlock(context, address, confirmedBlock, confirmations);
+                    const transfers = await db.getEventsByBlockRange(address, state.throughBlock + 1, confirmedBlock);
+
+                    const timestamps = new Map();
+                    for (const blockNumber of new Set(transfers.map((transfer) => transfer.blockNumber))) {
+                        timestamps.set(blockNumber, (await getBlockHeader(context, blockNumber)).timestamp);
+                    }
+
+                    // holdings only move forward once the events are delivered, a failed round is emitted again
+                    const holdings = new Map(state.holdings);
+                    await emit(describeTransfers(address, transfers, holdings, timestamps));
+                    state.holdings = holdings;
+                    state.throughBlock = confirmedBlock;
+                }
+            } catch (error) {
+                logger.error(`Watch round failed, retrying on the next poll: ${error.message}`);
+            }
+        }
+
+        stopHealthChecks();
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        logger.info('Stopped watching');
+    },
+
+    'rpc-status': async ({ provider }) => {
+        const statuses = await provider.checkHealth();
+        for (const status of statuses) {
+            const state = status.healthy
+                ? `ok, chain ${status.chainId}, head ${status.blockNumber}, ${status.latencyMs}ms, ${status.archive ? 'archive' : 'not archive'}`
+                : `unhealthy: ${status.error}`;
+            console.log(`${status.endpoint} (${status.requestsPerSecond} req/s): ${state}`);
+        }
+        if (!statuses.some((status) => status.healthy)) {
+            process.exitCode = 1;
+        }
+        return statuses;
+    },
+
+    'block-at': async (context) => {
+        const { options } = context;
+        const block = await findBlockByTimestamp(context, options.timestamp, options.direction);
         console.log(`Found block ${block.number} with timestamp ${block.timestamp}`);
+        return { blockNumber: block.number, timestamp: block.timestamp, direction: options.direction };
+    },
+
+    register: async (context) => {
+        const { contractAddress, options } = context;
+        const collection = await ensureCollection(context, contractAddress, options.deploymentBlock);
+        return collection;
+    },
+
+    collections: async ({ db }) => {
+        const collections = await db.getCollections();
+        for (const collection of collections) {
+            console.log(`${collection.address}  deployed at ${collection.deploymentBlock}, synced through ${collection.syncedThroughBlock}`);
+        }
+        return collections;
+    },
+
+    sync: async (context) => {
+        const { db, contractAddress, options } = context;
+        const targetBlock = await resolveTargetBlock(context, options);
+
+        let contractAddresses = [contractAddress];
+        if (options.all) {
+            contractAddresses = (await db.getCollections()).map((collection) => collection.address);
+        } else {
+            await ensureCollection(context, contractAddress, options.deploymentBlock);
+        }
+
+        for (const address of contractAddresses) {
+            logger.info(`Syncing ${address} through block ${targetBlock}...`);
+            await getTransactionThroughBlock(context, address, targetBlock, options.confirmations);
+        }
+        return { contractAddresses, blockNumber: targetBlock };
+    },
+
+    verify: async (context) => {
+        const { db, contractAddress, options } = context;
+        let contractAddresses = [contractAddress];
+        if (options.all) {
+            contractAddresses = (await db.getCollections()).map((collection) => collection.address);
+        }
+
+        // without an explicit target, check everything below the highest synced block
+        const explicitTarget = options.block !== undefined || options.timestamp !== undefined;
+        const targetBlock = explicitTarget ? await resolveTargetBlock(context, options) : undefined;
+
+        const results = [];
+        for (const address of contractAddresses) {
+            const collection = await db.getCollection(address);
+            if (!collection) {
+                throw new UsageError(`${address} is not tracked yet, run: node app.js sync --contract ${address}`);
+            }
+
+            const ranges = await db.getSyncedRanges(address);
+            const throughBlock = explicitTarget ? targetBlock : Math.max(-1, ...ranges.map((range) => range.toBlock));
+            const holes = throughBlock >= collection.deploymentBlock
+                ? await db.getUnsyncedRanges(address, collection.deploymentBlock, throughBlock)
+                : [];
+
+            if (holes.length === 0) {
+                console.log(`${address}: fully synced from ${collection.deploymentBlock} through ${throughBlock}`);
+            } else {
+                console.log(`${address}: ${holes.length} unsynced range(s) between ${collection.deploymentBlock} and ${throughBlock}`);
+                for (const hole of holes) {
+                    console.log(`  missing blocks ${hole.fromBlock} to ${hole.toBlock}`);
+                }
+            }
+            results.push({ contractAddress: address, deploymentBlock: collection.deploymentBlock, throughBlock, syncedRanges: ranges, holes });
+        }
+
+        if (results.some((result) => result.holes.length > 0)) {
+            process.exitCode = 1;
+        }
+        return results;
+    },
+
+    // bundles only reach blocks deeper than --confirmations, so the last block hash in the manifest is final
+    export: async (context) => {
+        const { provider, db, contractAddress, options } = context;
+        const collection = await db.getCollection(contractAddress);
+        if (!collection || collection.syncedThroughBlock < collection.deploymentBlock) {
+            throw new UsageError(`Nothing of ${contractAddress} is synced yet, run: node app.js sync --contract ${contractAddress}`);
+        }
+        const confirmations = options.confirmations !== undefined ? options.confirmations : DEFAULT_CONFIRMATIONS;
+        const finalBlock = (await provider.getBlockNumber()) - confirmations;
+        const explicitTarget = options.block !== undefined || options.timestamp !== undefined;
+        const toBlock = explicitTarget ? await resolveTargetBlock(context, options) : Math.min(collection.syncedThroughBlock, finalBlock);
+        if (toBlock < collection.deploymentBlock) {
+            throw new UsageError(`Block ${toBlock} is before the deployment block ${collection.deploymentBlock} of ${contractAddress}`);
+        }
+        if (toBlock > collection.syncedThroughBlock) {
+            throw new UsageError(`Cache for ${contractAddress} is only synced through block ${collection.syncedThroughBlock}, sync it through block ${toBlock} first`);
+        }
+        if (toBlock > finalBlock) {
+            throw new UsageError(`Block ${toBlock} is within ${confirmations} confirmations of the head and could still be reorganized`);
+        }
+
+        const { chainId } = await provider.getNetwork();
+        const block = await provider.getBlock(toBlock);
+        const transfers = await db.getEventsByBlockRange(contractAddress, collection.deploymentBlock, toBlock);
+        const snapshots = [];
+        for (const snapshot of await db.getHolderSnapshots(contractAddress)) {
+            if (snapshot.blockNumber <= toBlock) {
+                snapshots.push({ ...snapshot, owners: await db.getHolderSnapshot(contractAddress, snapshot.blockNumber) });
+            }
+        }
+
+        const manifest = writeBundle(options.bundle, {
+            chainId: chainId.toString(),
+            contractAddress,
+            deploymentBlock: collection.deploymentBlock,
+            fromBlock: collection.deploymentBlock,
+            toBlock,
+            lastBlockHash: block.hash,
+        }, transfers, snapshots);
+        console.log(`Exported ${manifest.counts.transfers} transfers and ${manifest.counts.holderSnapshots} holder snapshots of blocks ${manifest.fromBlock} to ${toBlock} to ${options.bundle}`);
+        return manifest;
+    },
+
+    // nothing is written unless the whole bundle checks out and was taken from the chain the RPC serves
+    import: async (context) => {
+        const { provider, db, options } = context;
+        const { manifest, transfers, snapshots } = readBundle(options.bundle);
+        console.log(`Bundle of ${manifest.contractAddress}, blocks ${manifest.fromBlock} to ${manifest.toBlock}: ${manifest.counts.transfers} transfers, ${manifest.counts.holderSnapshots} holder snapshots, content hash verified`);
+        if (options.contract !== undefined && options.contract !== manifest.contractAddress.toLowerCase()) {
+            throw new UsageError(`Bundle holds ${manifest.contractAddress}, not --contract ${options.contract}`);
+        }
+
+        const { chainId } = await provider.getNetwork();
+        if (chainId.toString() !== manifest.chainId) {
+            throw new BundleError(`Bundle was exported from chain ${manifest.chainId}, the RPC serves chain ${chainId}`);
+        }
+        const block = await provider.getBlock(manifest.toBlock);
+        if (!block || block.hash !== manifest.lastBlockHash) {
+            throw new BundleError(`Block ${manifest.toBlock} is ${block ? block.hash : 'missing'} on the chain, the bundle was exported at ${manifest.lastBlockHash}`);
+        }
+        const collection = await db.getCollection(manifest.contractAddress);
+        if (collection && collection.deploymentBlock !== manifest.deploymentBlock) {
+            throw new BundleError(`${manifest.contractAddress} is tracked with deployment block ${collection.deploymentBlock}, the bundle has ${manifest.deploymentBlock}`);
+        }
+
+        const imported = await db.importBundle(manifest, transfers, snapshots);
+        console.log(`Imported ${imported.transfers} new transfers (${transfers.length - imported.transfers} already cached) and ${imported.holderSnapshots} holder snapshots`);
+        return { manifest, imported };
+    },
+
+    holders: async (context) => {
+        const { contractAddress, options } = context;
+        const targetBlock = await resolveTargetBlock(context, options);
+        const holderMap = await loadHolderMap(context, contractAddress, targetBlock);
+        console.log(`${holderMap.size} tokens held by ${getUniqueHolders(holderMap).length} holders at block ${targetBlock}`);
+
+        if (options.save) {
+            await saveHolderSnapshot(context, contractAddress, targetBlock, holderMap);
+        }
+        return Object.fromEntries(holderMap);
+    },
+
+    'holder-snapshots': async ({ db, contractAddress }) => {
+        const snapshots = await db.getHolderSnapshots(contractAddress);
+        for (const snapshot of snapshots) {
+            console.log(`block ${snapshot.blockNumber}: ${snapshot.tokenCount} tokens, saved ${new Date(snapshot.createdAt * 1000).toISOString()}`);
+        }
+        return snapshots;
+    },
+
+    balance: async (context) => {
+        const { provider, contractAddress, options } = context;
+        const targetBlock = await resolveTargetBlock(context, options);
+        const holderMap = await loadHolderMap(context, contractAddress, targetBlock);
+        await requireHistoricalState(provider, targetBlock);
+        const { holders, excluded } = await selectHolders(context, holderMap, targetBlock, options);
+        const totals = await sumHolderBalances(context, holders, targetBlock, options);
+        printExcludedHolders(excluded);
+        return { contractAddress, blockNumber: targetBlock, holderCount: holders.length, ...totals, excluded };
+    },
+
+    report: async (context) => {
+        const { provider, rateLimiter, contractAddress, options } = context;
+        const targetBlock = await resolveTargetBlock(context, options);
+        const block = await getBlockHeader(context, targetBlock);
+        const holderMap = await loadHolderMap(context, contractAddress, targetBlock);
+        await requireHistoricalState(provider, targetBlock);
+        // every holder is classified and gets a balance, so excluded ones are reported with theirs
+        const { types, excluded } = await selectHolders(context, holderMap, targetBlock, options, { classify: true });
+        const holders = getUniqueHolders(holderMap);
+        const balances = await getHolderBalances(context, holders, targetBlock, balanceOptions(options));
+
+        let holdings = null;
+        if (options.assets) {
+            // the ETH balances are part of every report, they lead the asset list without being fetched again
+            const specs = [{ kind: 'native', address: null }, ...options.assets.filter((spec) => spec.kind !== 'native')];
+            const [native, ...tokens] = await resolveAssets(provider, specs, targetBlock, rateLimiter);
+            const tokenBalances = await getAssetBalances(context, holders, targetBlock, tokens, balanceOptions(options));
+            holdings = { balances: [{ asset: native, balances }, ...tokenBalances], prices: options.prices };
+        }
+
+        const meta = { contractAddress, blockNumber: targetBlock, timestamp: block.timestamp };
+        const report = buildHolderReport(holderMap, balances, meta, options.top, { types, excluded }, holdings);
+        printReportSummary(report);
+
+        if (options.output) {
+            const format = resolveReportFormat(options.format, options.output);
+            fs.writeFileSync(options.output, formatHolderReport(report, format));
+            logger.info(`${format} report written to ${options.output}`);
+        }
+    },
+
+    snapshot: async (context) => {
+        const { provider, contractAddress, options } = context;
+        const targetBlock = await resolveTargetBlock(context, options);
         // get all transaction through the block
-        await getTransactionThroughBlock(provider, contractAddress, block.number);
-    } else {
-        console.log(`Could not find a block close to timestamp ${targetUnixTimestamp}`);
-    }
+        await ensureCollection(context, contractAddress, options.deploymentBlock);
+        await getTransactionThroughBlock(context, contractAddress, targetBlock, options.confirmations);
 
-    const holderMap = await getHolderMapByBlock(startBlock, block.number);
-    let holderObject = Object.fromEntries(holderMap);
+        const holderMap = await loadHolderMap(context, contractAddress, targetBlock);
+
+        // get the total sum of the balances in the block
+        await requireHistoricalState(provider, targetBlock);
+        const { holders, excluded } = await selectHolders(context, holderMap, targetBlock, options);
+        const totals = await sumHolderBalances(context, holders, targetBlock, options);
+        printExcludedHolders(excluded);
+        return { contractAddress, blockNumber: targetBlock, holderCount: holders.length, ...totals, excluded };
+    },
+};
+
+const main = async () => {
+    let cli;
+    try {
+        cli = parseCli(process.argv.slice(2));
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`Error: ${error.message}\n\n${usage()}`);
+            process.exitCode = 1;
+            return;
+        }
+        throw error;
+    }
 
-    // get all unique holders to prevent duplicate
-    const uniqueHolders = new Set();
-    // iterate holderObject and add each holder to the uniqueHolders set
-    for (const tokenId in holderObject) {
-        const holder = holderObject[tokenId];
-        uniqueHolders.add(holder);
+    if (cli.help) {
+        console.log(usage());
+        return;
     }
 
-    // convert the set to an array
-    const uniqueHoldersArray = Array.from(uniqueHolders);
+    const { command, options } = cli;
+    // created on first use, so commands that only read the cache work without any RPC configured
+    let provider = null;
+    let rateLimiter = null;
+    const context = {
+        get provider() {
+            if (!provider) {
+                provider = new ProviderPool(loadEndpoints(options));
+                // sized to the pool, so requests are paced to what all endpoints together allow
+                rateLimiter = new RateLimiter(provider.totalRequestsPerSecond, { maxConcurrency: provider.totalConcurrency });
+            }
+            return provider;
+        },
+        get rateLimiter() {
+            return this.provider && rateLimiter;
+        },
+        db: null,
+        contractAddress: options.contract || DEFAULT_CONTRACT_ADDRESS,
+        options,
+    };
 
-    // get the total sum of the balances in the block
-    const totalSum = await getWalletBalance(batchProvider, uniqueHoldersArray, block.number);
+    logger.configure({ level: options.logLevel, format: options.logFormat });
 
-    // get the total sum of the balances in the block
-    console.log('Total sum in ether: ', totalSum);
+    const db = new EventCacheDB(options.db);
+    context.db = db;
+    try {
+        const result = await commands[command](context);
+        writeOutput(options.output, result);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            logger.error(`Error: ${error.message}`);
+        } else {
+            logger.error(`${command} failed: ${error.message}`);
+        }
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+        if (provider) {
+            provider.destroy();
+        }
+        logger.summary();
+    }
 };
 
-main();
\ No newline at end of file
+// the core functions take a context of provider, db (EventCacheDB) and rateLimiter instead of opening their
+// own, so they can run against any node and cache; main() builds the context from the command line
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_CONFIRMATIONS,
+    commands,
+    getBlockHeader,
+    findBlockByTimestamp,
+    findDeploymentBlock,
+    ensureCollection,
+    rollbackReorgedBlocks,
+    getTransactionThroughBlock,
+    replayTransfers,
+    unwindTransfers,
+    getHolderMapByBlock,
+    getHolderBalances,
+    getAssetBalances,
+    getWalletBalance,
+    resolveTargetBlock,
+    getAddressTypes,
+    main,
+};
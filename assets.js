@@ -0,0 +1,206 @@
+// assets.js
+const { ethers } = require('ethers');
+
+const tokenInterface = new ethers.Interface([
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+]);
+
+// "native" for the chain's own currency, "erc20:<address>" for a fungible token or "erc721:<address>" for the
+// number of NFTs of a collection held, null for anything else
+function parseAssetSpec(value) {
+    if (value.toLowerCase() === 'native') {
+        return { kind: 'native', address: null };
+    }
+    const match = /^(erc20|erc721):(.+)$/i.exec(value);
+    if (!match || !ethers.isAddress(match[2])) {
+        return null;
+    }
+    return { kind: match[1].toLowerCase(), address: ethers.getAddress(match[2].toLowerCase()) };
+}
+
+// a price in ETH per whole unit as a decimal number or string, in wei per unit; null for anything else
+function parsePrice(value) {
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !/^\d+(\.\d{1,18})?$/.test(text)) {
+        return null;
+    }
+    return ethers.parseEther(text);
+}
+
+// return data of a view function without arguments, null when the token reverts or has nothing to return
+async function callView(provider, rateLimiter, address, name, blockNumber) {
+    try {
+        const returnData = await rateLimiter.add(() => provider.call({
+            to: address,
+            data: tokenInterface.encodeFunctionData(name),
+            blockTag: blockNumber,
+        }));
+        return returnData === '0x' ? null : returnData;
+    } catch (error) {
+        if (error.code === 'CALL_EXCEPTION') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// symbol() is optional in both standards, and a few early tokens (MKR among them) return it as bytes32
+async function readSymbol(provider, rateLimiter, address, blockNumber) {
+    const returnData = await callView(provider, rateLimiter, address, 'symbol', blockNumber);
+    if (returnData === null) {
+        return null;
+    }
+    try {
+        return tokenInterface.decodeFunctionResult('symbol', returnData)[0];
+    } catch {
+        try {
+            return ethers.decodeBytes32String(returnData);
+        } catch {
+            return null;
+        }
+    }
+}
+
+// two tokens can share a symbol or call themselves ETH, the later ones get part of their address appended
+function labelAssets(assets) {
+    const seen = new Set(assets.filter((asset) => asset.kind === 'native').map((asset) => asset.symbol));
+    return assets.map((asset) => {
+        if (asset.kind === 'native') {
+            return { ...asset, label: asset.symbol };
+        }
+        const label = seen.has(asset.symbol) ? `${asset.symbol}-${asset.address.slice(2, 8).toLowerCase()}` : asset.symbol;
+        seen.add(label);
+        return { ...asset, label };
+    });
+}
+
+/**
+ * Looks up symbol and decimals of every asset at the block. ERC-721 balances are token counts, so their
+ * decimals are 0. An ERC-20 without decimals() fails the lookup, as its balances cannot be converted.
+ * @param {ethers.Provider} provider
+ * @param {{kind: string, address: string|null}[]} specs As returned by parseAssetSpec.
+ * @param {number} blockNumber
+ * @param {RateLimiter} rateLimiter
+ * @returns {Promise<object[]>} kind, address (null for native), symbol, decimals and a label unique among the assets.
+ */
+async function resolveAssets(provider, specs, blockNumber, rateLimiter) {
+    const assets = [];
+    for (const spec of specs) {
+        if (spec.kind === 'native') {
+            assets.push({ kind: 'native', address: null, symbol: 'ETH', decimals: 18 });
+            continue;
+        }
+        const code = await rateLimiter.add(() => provider.getCode(spec.address, blockNumber));
+        if (code === '0x') {
+            throw new Error(`${spec.kind.toUpperCase()} ${spec.address} has no contract code at block ${blockNumber}`);
+        }
+
+        let decimals = 0;
+        if (spec.kind === 'erc20') {
+            const returnData = await callView(provider, rateLimiter, spec.address, 'decimals', blockNumber);
+            if (returnData === null) {
+                throw new Error(`ERC-20 ${spec.address} has no decimals() at block ${blockNumber}, its balances cannot be converted`);
+            }
+            decimals = Number(tokenInterface.decodeFunctionResult('decimals', returnData)[0]);
+        }
+        const symbol = await readSymbol(provider, rateLimiter, spec.address, blockNumber);
+        assets.push({ kind: spec.kind, address: spec.address, symbol: symbol || spec.address.slice(0, 10), decimals });
+    }
+    return labelAssets(assets);
+}
+
+function formatAmount(amount, asset) {
+    return ethers.formatUnits(amount, asset.decimals);
+}
+
+// wei per whole unit of the asset, looked up by address, then by symbol. ETH is always worth 1 ETH
+function priceOf(asset, prices) {
+    if (asset.kind === 'native') {
+        return ethers.WeiPerEther;
+    }
+    return prices.get(asset.address.toLowerCase()) ?? prices.get(asset.symbol.toLowerCase()) ?? null;
+}
+
+function valueInWei(amount, asset, price) {
+    return (amount * price) / 10n ** BigInt(asset.decimals);
+}
+
+/**
+ * Totals of every asset over the holders, valued in ETH when a price table is given.
+ * @param {{asset: object, balances: Map<string, bigint>}[]} assetBalances As returned by getAssetBalances.
+ * @param {Map<string, bigint>} [prices] Lowercase token address or symbol -> wei per whole unit.
+ * @returns {{assets: object[], totalValueEth: string|null}} Per asset its kind, address, symbol, label,
+ *   decimals, total, totalRaw and the number of holders with a balance. priceEth and valueEth are null for
+ *   assets missing from the price table, totalValueEth sums the priced ones and is null without a table.
+ */
+function summarizeAssets(assetBalances, prices) {
+    let totalValueWei = 0n;
+    const assets = assetBalances.map(({ asset, balances }) => {
+        let total = 0n;
+        let holderCount = 0;
+        for (const amount of balances.values()) {
+            total += amount;
+            if (amount > 0n) {
+                holderCount++;
+            }
+        }
+        const price = prices ? priceOf(asset, prices) : null;
+        const valueWei = price === null ? null : valueInWei(total, asset, price);
+        if (valueWei !== null) {
+            totalValueWei += valueWei;
+        }
+        return {
+            kind: asset.kind,
+            address: asset.address,
+            symbol: asset.symbol,
+            label: asset.label,
+            decimals: asset.decimals,
+            total: formatAmount(total, asset),
+            totalRaw: total.toString(),
+            holderCount,
+            priceEth: price === null ? null : ethers.formatEther(price),
+            valueEth: valueWei === null ? null : ethers.formatEther(valueWei),
+        };
+    });
+    return { assets, totalValueEth: prices ? ethers.formatEther(totalValueWei) : null };
+}
+
+// what one holder has of every asset, by label, and its value in ETH (null without a price table)
+function holderAssets(assetBalances, address, prices) {
+    const amounts = {};
+    let valueWei = 0n;
+    for (const { asset, balances } of assetBalances) {
+        const amount = balances.get(address) ?? 0n;
+        amounts[asset.label] = formatAmount(amount, asset);
+        const price = prices ? priceOf(asset, prices) : null;
+        if (price !== null) {
+            valueWei += valueInWei(amount, asset, price);
+        }
+    }
+    return { assets: amounts, valueEth: prices ? ethers.formatEther(valueWei) : null };
+}
+
+// asset totals as listed by balance and snapshot
+function printAssetTotals({ assets, totalValueEth }) {
+    for (const asset of assets) {
+        const token = asset.address ? ` (${asset.kind} ${asset.address})` : '';
+        let value = '';
+        if (totalValueEth !== null) {
+            value = asset.valueEth !== null ? `, worth ${asset.valueEth} ETH` : ', no price';
+        }
+        console.log(`Total ${asset.label}${token}: ${asset.total} held by ${asset.holderCount} holders${value}`);
+    }
+    if (totalValueEth !== null) {
+        console.log(`Total value in ether: ${totalValueEth}`);
+    }
+}
+
+module.exports = {
+    parseAssetSpec,
+    parsePrice,
+    resolveAssets,
+    summarizeAssets,
+    holderAssets,
+    printAssetTotals,
+};
@@ -0,0 +1,185 @@
+// balances.js
+const { ethers } = require('ethers');
+const { logger } = require('./log');
+
+// Multicall3 is deployed at the same address on every chain it exists on
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const multicallInterface = new ethers.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)',
+]);
+// ERC-20 and ERC-721 share balanceOf, an amount in the token's smallest unit or a count of tokens
+const tokenInterface = new ethers.Interface(['function balanceOf(address owner) view returns (uint256 balance)']);
+
+const BALANCE_BACKENDS = ['multicall', 'batch', 'single'];
+const DEFAULT_BATCH_SIZE = 200;
+
+// the balance of one address, the native one or balanceOf on the token contract
+async function fetchBalance(provider, address, targetBlockNumber, token) {
+    if (!token) {
+        return provider.getBalance(address, targetBlockNumber);
+    }
+    const returnData = await provider.call({
+        to: token,
+        data: tokenInterface.encodeFunctionData('balanceOf', [address]),
+        blockTag: targetBlockNumber,
+    });
+    return tokenInterface.decodeFunctionResult('balanceOf', returnData)[0];
+}
+
+// one request per address, each through the rate limiter which retries transient failures. the
+// fallback for a partly answered chunk runs at a higher priority so started chunks finish first
+async function fetchSingleBalances(provider, addresses, targetBlockNumber, rateLimiter, { token, priority = 0, signal, progress } = {}) {
+    const balances = addresses.map((address) => {
+        return rateLimiter.add(() => fetchBalance(provider, address, targetBlockNumber, token), { priority, signal }).then((balance) => {
+            if (progress) {
+                progress.tick();
+            }
+            return balance;
+        });
+    });
+    return Promise.all(balances);
+}
+
+// one JSON-RPC batch request carrying an eth_getBalance (or an eth_call of balanceOf) per address. entries
+// the node answered with an error come back as null, a batch the node refused as a whole throws
+async function fetchBatchBalances(provider, addresses, targetBlockNumber, token) {
+    const blockTag = ethers.toQuantity(targetBlockNumber);
+    const payload = addresses.map((address, index) => ({
+        jsonrpc: '2.0',
+        id: index,
+        method: token ? 'eth_call' : 'eth_getBalance',
+        params: token
+            ? [{ to: token, data: tokenInterface.encodeFunctionData('balanceOf', [address]) }, blockTag]
+            : [address, blockTag],
+    }));
+
+    const responses = await provider._send(payload);
+    // nodes without batch support answer with a single error object instead of an array
+    if (responses.length === 1 && addresses.length > 1 && responses[0].error) {
+        throw new Error(responses[0].error.message || 'batch request rejected');
+    }
+
+    const responsesById = new Map(responses.map((response) => [response.id, response]));
+    return addresses.map((address, index) => {
+        const response = responsesById.get(index);
+        // an empty eth_call result is no balance either, the single call reports why
+        if (!response || response.error || response.result == null || response.result === '0x') {
+            return null;
+        }
+        return BigInt(response.result);
+    });
+}
+
+// one eth_call to Multicall3.aggregate3 wrapping a getEthBalance (or a balanceOf of the token) per address
+async function fetchMulticallBalances(provider, addresses, targetBlockNumber, token) {
+    const calls = addresses.map((address) => ({
+        target: token || MULTICALL3_ADDRESS,
+        allowFailure: true,
+        callData: token
+            ? tokenInterface.encodeFunctionData('balanceOf', [address])
+            : multicallInterface.encodeFunctionData('getEthBalance', [address]),
+    }));
+
+    const returnData = await provider.call({
+        to: MULTICALL3_ADDRESS,
+        data: multicallInterface.encodeFunctionData('aggregate3', [calls]),
+        blockTag: targetBlockNumber,
+    });
+    const [results] = multicallInterface.decodeFunctionResult('aggregate3', returnData);
+
+    return results.map((result) => {
+        if (!result.success || result.returnData === '0x') {
+            return null;
+        }
+        return token
+            ? tokenInterface.decodeFunctionResult('balanceOf', result.returnData)[0]
+            : multicallInterface.decodeFunctionResult('getEthBalance', result.returnData)[0];
+    });
+}
+
+// Multicall3 only exists from its deployment block onwards (14353601 on mainnet)
+async function isMulticallAvailable(provider, targetBlockNumber) {
+    const code = await provider.getCode(MULTICALL3_ADDRESS, targetBlockNumber);
+    return code !== '0x';
+}
+
+/**
+ * Fetches the native balance, or the balanceOf of an ERC-20 or ERC-721 token, of every address at a block.
+ * @param {ethers.JsonRpcProvider} provider Should be created with `batchMaxCount: 1`, otherwise ethers merges
+ *   the per-address fallback calls into a batch again.
+ * @param {string[]} addresses
+ * @param {number} targetBlockNumber
+ * @param {object} options
+ * @param {RateLimiter} options.rateLimiter Every request (batched or not) goes through it. A balance that still
+ *   fails once the limiter's retries are used up rejects the whole call and cancels the requests still queued.
+ * @param {'multicall'|'batch'|'single'} [options.backend] How balances are requested, 'multicall' falls back
+ *   to 'batch' for blocks before Multicall3 was deployed.
+ * @param {number} [options.batchSize] Addresses per batch request or multicall.
+ * @param {string} [options.token] Token contract whose balanceOf is fetched instead of the native balance.
+ * @returns {Promise<bigint[]>} Balances in wei (or the token's smallest unit), in the same order as addresses.
+ */
+async function fetchBalances(provider, addresses, targetBlockNumber, { rateLimiter, backend = 'multicall', batchSize = DEFAULT_BATCH_SIZE, token }) {
+    if (!BALANCE_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown balance backend "${backend}"`);
+    }
+    if (addresses.length === 0) {
+        return [];
+    }
+
+    if (backend === 'multicall' && !(await isMulticallAvailable(provider, targetBlockNumber))) {
+        logger.warn(`Multicall3 is not deployed at block ${targetBlockNumber}, using JSON-RPC batches instead`);
+        backend = 'batch';
+    }
+    // the first balance that cannot be fetched fails the whole call, nothing else needs to run after that
+    const controller = new AbortController();
+    const { signal } = controller;
+    const abortOnError = (error) => {
+        controller.abort(error);
+        throw error;
+    };
+    const progress = logger.progress('balances', addresses.length, 'addresses');
+
+    if (backend === 'single') {
+        return fetchSingleBalances(provider, addresses, targetBlockNumber, rateLimiter, { token, signal, progress })
+            .catch(abortOnError)
+            .finally(() => progress.finish());
+    }
+
+    const fetchChunk = backend === 'multicall' ? fetchMulticallBalances : fetchBatchBalances;
+
+    const chunks = [];
+    for (let index = 0; index < addresses.length; index += batchSize) {
+        chunks.push(addresses.slice(index, index + batchSize));
+    }
+
+    const chunkBalances = await Promise.all(chunks.map(async (chunk) => {
+        let balances = await rateLimiter.add(() => fetchChunk(provider, chunk, targetBlockNumber, token), { signal }).catch((error) => {
+            if (signal.aborted) {
+                throw error;
+            }
+            logger.warn(`${backend} request for ${chunk.length} addresses was rejected (${error.message}), falling back to per-address calls`);
+            return chunk.map(() => null);
+        });
+
+        // anything the node would not answer in bulk is fetched one by one
+        const missing = chunk.filter((address, index) => balances[index] === null);
+        if (missing.length > 0) {
+            const fallback = await fetchSingleBalances(provider, missing, targetBlockNumber, rateLimiter, { token, priority: 1, signal });
+            const fallbackByAddress = new Map(missing.map((address, index) => [address, fallback[index]]));
+            balances = balances.map((balance, index) => (balance === null ? fallbackByAddress.get(chunk[index]) : balance));
+        }
+
+        progress.tick(chunk.length);
+        return balances;
+    })).catch(abortOnError).finally(() => progress.finish());
+
+    return chunkBalances.flat();
+}
+
+module.exports = {
+    MULTICALL3_ADDRESS,
+    BALANCE_BACKENDS,
+    DEFAULT_BATCH_SIZE,
+    fetchBalances,
+};
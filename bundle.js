@@ -0,0 +1,194 @@
+// bundle.js
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { ethers } = require('ethers');
+
+// a bundle is gzip-compressed NDJSON: the manifest on the first line, then one record per line
+const BUNDLE_FORMAT = 'nft-cache-bundle';
+const BUNDLE_VERSION = 1;
+
+// thrown when a bundle is unreadable, damaged or does not fit the chain or cache it is imported into
+class BundleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BundleError';
+    }
+}
+
+// the manifest as covered by the content hash: every field but the hash itself and the export time, with
+// sorted keys so the hash does not depend on the order the fields were written in
+function canonicalManifest(manifest) {
+    const { contentHash, createdAt, ...fields } = manifest;
+    return JSON.stringify(fields, (key, value) => (value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : 1)))
+        : value));
+}
+
+// hex sha256 over the canonical manifest and every record line after it, newlines included
+function hashContent(manifest, lines) {
+    const hash = crypto.createHash('sha256');
+    for (const line of [canonicalManifest(manifest), ...lines]) {
+        hash.update(`${line}\n`);
+    }
+    return `sha256:${hash.digest('hex')}`;
+}
+
+function countRecords(transfers, snapshots) {
+    return {
+        transfers: transfers.length,
+        holderSnapshots: snapshots.length,
+        holderSnapshotOwners: snapshots.reduce((sum, snapshot) => sum + Object.keys(snapshot.owners).length, 0),
+    };
+}
+
+/**
+ * Writes a bundle of a collection's cached transfers and holder snapshots.
+ * @param {string} filePath
+ * @param {object} meta chainId, contractAddress, deploymentBlock, fromBlock, toBlock and lastBlockHash.
+ * @param {object[]} transfers Events as returned by getEventsByBlockRange, in chain order.
+ * @param {object[]} snapshots { blockNumber, createdAt, owners: Map of tokenId -> owner }, by block.
+ * @returns {object} The manifest, with the row counts and content hash filled in.
+ */
+function writeBundle(filePath, meta, transfers, snapshots) {
+    const transferRecords = transfers.map((event) => ({
+        type: 'transfer',
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash,
+        from: event.args.from,
+        to: event.args.to,
+        tokenId: event.args.tokenId.toString(),
+    }));
+    const snapshotRecords = snapshots.map((snapshot) => ({
+        type: 'holderSnapshot',
+        blockNumber: snapshot.blockNumber,
+        createdAt: snapshot.createdAt,
+        owners: Object.fromEntries(snapshot.owners),
+    }));
+
+    const lines = [...transferRecords, ...snapshotRecords].map((record) => JSON.stringify(record));
+    const manifest = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: Math.floor(Date.now() / 1000),
+        ...meta,
+        counts: countRecords(transferRecords, snapshotRecords),
+    };
+    manifest.contentHash = hashContent(manifest, lines);
+
+    const content = [JSON.stringify(manifest), ...lines].map((line) => `${line}\n`).join('');
+    fs.writeFileSync(filePath, zlib.gzipSync(content));
+    return manifest;
+}
+
+const isBlockNumber = (value) => Number.isSafeInteger(value) && value >= 0;
+const isHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+const isTokenId = (value) => typeof value === 'string' && /^\d+$/.test(value);
+// the cache stores holders checksummed, anything else would not match its other rows
+const isChecksummed = (value) => typeof value === 'string' && ethers.isAddress(value) && ethers.getAddress(value) === value;
+
+function checkManifest(manifest) {
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+        throw new BundleError('Not a cache bundle, the first line is no bundle manifest');
+    }
+    if (manifest.version !== BUNDLE_VERSION) {
+        throw new BundleError(`Bundle version ${manifest.version} is not supported, expected ${BUNDLE_VERSION}`);
+    }
+    const valid = typeof manifest.chainId === 'string'
+        && typeof manifest.contractAddress === 'string' && ethers.isAddress(manifest.contractAddress)
+        && isBlockNumber(manifest.deploymentBlock) && isBlockNumber(manifest.fromBlock) && isBlockNumber(manifest.toBlock)
+        && manifest.deploymentBlock <= manifest.fromBlock && manifest.fromBlock <= manifest.toBlock
+        && isHash(manifest.lastBlockHash)
+        && manifest.counts && typeof manifest.contentHash === 'string';
+    if (!valid) {
+        throw new BundleError('Bundle manifest is incomplete or inconsistent');
+    }
+}
+
+// the reason a record is malformed, or null
+function checkRecord(record, manifest) {
+    const inRange = (blockNumber) => isBlockNumber(blockNumber) && blockNumber >= manifest.fromBlock && blockNumber <= manifest.toBlock;
+    if (record.type === 'transfer') {
+        const valid = inRange(record.blockNumber) && isBlockNumber(record.logIndex) && isHash(record.transactionHash)
+            && isChecksummed(record.from) && isChecksummed(record.to) && isTokenId(record.tokenId);
+        return valid ? null : 'malformed transfer';
+    }
+    if (record.type === 'holderSnapshot') {
+        const valid = inRange(record.blockNumber) && isBlockNumber(record.createdAt)
+            && record.owners !== null && typeof record.owners === 'object'
+            && Object.entries(record.owners).every(([tokenId, owner]) => isTokenId(tokenId) && isChecksummed(owner));
+        return valid ? null : 'malformed holder snapshot';
+    }
+    return `unknown record type "${record.type}"`;
+}
+
+/**
+ * Reads a bundle and checks it completely: manifest, content hash, row counts and every record.
+ * Nothing is returned from a bundle that fails any check, so a damaged file never reaches the cache.
+ * @param {string} filePath
+ * @returns {{manifest: object, transfers: object[], snapshots: object[]}} Snapshot owners as a Map of tokenId -> owner.
+ */
+function readBundle(filePath) {
+    let content;
+    try {
+        content = zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8');
+    } catch (error) {
+        throw new BundleError(`Cannot read bundle ${filePath}: ${error.message}`);
+    }
+
+    const lines = content.split('\n');
+    // every line ends with a newline, so the last one is empty
+    if (lines.pop() !== '') {
+        throw new BundleError('Bundle is truncated, its last line is incomplete');
+    }
+
+    const records = [];
+    let manifest;
+    try {
+        manifest = JSON.parse(lines.shift());
+        for (const line of lines) {
+            records.push(JSON.parse(line));
+        }
+    } catch (error) {
+        const lineNumber = manifest === undefined ? 1 : records.length + 2;
+        throw new BundleError(`Bundle line ${lineNumber} is not valid JSON: ${error.message}`);
+    }
+    checkManifest(manifest);
+
+    const contentHash = hashContent(manifest, lines);
+    if (contentHash !== manifest.contentHash) {
+        throw new BundleError(`Bundle content hash ${contentHash} does not match its manifest (${manifest.contentHash}), the file is damaged`);
+    }
+
+    for (const [index, record] of records.entries()) {
+        const problem = checkRecord(record, manifest);
+        if (problem) {
+            throw new BundleError(`Bundle line ${index + 2}: ${problem}`);
+        }
+    }
+    const transfers = records.filter((record) => record.type === 'transfer');
+    const snapshots = records.filter((record) => record.type === 'holderSnapshot');
+
+    const counts = countRecords(transfers, snapshots);
+    for (const [name, count] of Object.entries(counts)) {
+        if (manifest.counts[name] !== count) {
+            throw new BundleError(`Bundle holds ${count} ${name}, its manifest lists ${manifest.counts[name]}`);
+        }
+    }
+
+    return {
+        manifest,
+        transfers,
+        snapshots: snapshots.map((snapshot) => ({ ...snapshot, owners: new Map(Object.entries(snapshot.owners)) })),
+    };
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    BundleError,
+    hashContent,
+    writeBundle,
+    readBundle,
+};
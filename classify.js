@@ -0,0 +1,73 @@
+// classify.js
+
+const HOLDER_TYPES = ['all', 'eoa', 'contract'];
+
+// an EOA that delegated to contract code (EIP-7702) has code 0xef0100 followed by the delegate's address,
+// it is still a wallet someone holds the key of
+const DELEGATION_PREFIX = '0xef0100';
+
+// 'eoa' or 'contract' for the code an address has at a block
+function addressType(code) {
+    if (code === '0x' || (code.startsWith(DELEGATION_PREFIX) && code.length === 2 + 23 * 2)) {
+        return 'eoa';
+    }
+    return 'contract';
+}
+
+/**
+ * Applies the include and exclude lists and the holder type filter to the holders of a snapshot.
+ * A holder on the exclude list is always left out, one on the include list is always counted, every other
+ * holder is counted when its type matches holderType.
+ * @param {Map<string, string>} holderMap tokenId -> holder.
+ * @param {Map<string, string>|null} types holder -> 'eoa' or 'contract', null when holders were not classified.
+ * @param {{holderType: string, include: string[], exclude: string[]}} rules Checksummed addresses.
+ * @returns {{holders: string[], excluded: object[]}} The counted holders, and address, type, tokenCount and
+ *   reason of every holder left out.
+ */
+function applyHolderRules(holderMap, types, rules) {
+    const tokenCounts = new Map();
+    for (const holder of holderMap.values()) {
+        tokenCounts.set(holder, (tokenCounts.get(holder) || 0) + 1);
+    }
+    const include = new Set(rules.include);
+    const exclude = new Set(rules.exclude);
+
+    const holders = [];
+    const excluded = [];
+    for (const [address, tokenCount] of tokenCounts) {
+        const type = types ? types.get(address) : null;
+        let reason = null;
+        if (exclude.has(address)) {
+            reason = 'on the exclude list';
+        } else if (!include.has(address) && rules.holderType !== 'all' && type !== rules.holderType) {
+            reason = rules.holderType === 'eoa' ? 'contract, only EOAs are counted' : 'EOA, only contracts are counted';
+        }
+
+        if (reason) {
+            excluded.push({ address, type, tokenCount, reason });
+        } else {
+            holders.push(address);
+        }
+    }
+    excluded.sort((a, b) => b.tokenCount - a.tokenCount || a.address.localeCompare(b.address));
+    return { holders, excluded };
+}
+
+// excluded holders as listed under a balance sum or report summary
+function printExcludedHolders(excluded) {
+    if (excluded.length === 0) {
+        return;
+    }
+    console.log(`  excluded ${excluded.length} holders of ${excluded.reduce((sum, holder) => sum + holder.tokenCount, 0)} tokens:`);
+    for (const holder of excluded) {
+        const balance = holder.balanceEth !== undefined ? `${holder.balanceEth} ETH  ` : '';
+        console.log(`    ${holder.address}  ${balance}(${holder.tokenCount} tokens), ${holder.reason}`);
+    }
+}
+
+module.exports = {
+    HOLDER_TYPES,
+    addressType,
+    applyHolderRules,
+    printExcludedHolders,
+};
@@ -0,0 +1,531 @@
+// cli.js
+const { parseArgs } = require('util');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { BALANCE_BACKENDS, DEFAULT_BATCH_SIZE } = require('./balances');
+const { REPORT_FORMATS, DEFAULT_TOP_N } = require('./report');
+const { MAX_POINTS, parseInterval } = require('./analytics');
+const { HOLDER_TYPES } = require('./classify');
+const { LOG_LEVELS, LOG_FORMATS } = require('./log');
+const { parseAssetSpec, parsePrice } = require('./assets');
+
+// thrown for anything the user typed wrong, main() prints it together with the usage text
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const COMMANDS = {
+    snapshot: 'Sync events, rebuild the holder map and sum holder ETH balances (default)',
+    sync: 'Fetch Transfer events into the local cache up to the target block',
+    holders: 'Build the holder map at the target block from the local cache',
+    balance: 'Sum the ETH balance of every cached holder at the target block',
+    report: 'List every holder with token count, token ids and ETH balance, plus summary stats',
+    'block-at': 'Resolve a timestamp to a block number',
+    register: 'Start tracking a collection (detects its deployment block unless given)',
+    collections: 'List tracked collections and how far each is synced',
+    'holder-snapshots': 'List stored holder snapshots of a collection',
+    'token-history': 'List every owner of --token with the transfers between them',
+    'wallet-history': 'List every token --wallet has held and for how long',
+    'transfers-between': 'List the transfers between --wallet and --counterparty, in both directions',
+    timeseries: 'Compute holder count, distribution, concentration, churn and holder ETH from --start to --end',
+    enrich: 'Fetch transactions and receipts of cached transfers to classify them and record sale prices',
+    'last-sales': 'List the last sale price of every token through the target block',
+    volume: 'Report sale count and volume per marketplace between --from-block and the target block',
+    watch: 'Follow the chain and stream mints, transfers and holder changes as NDJSON or to a webhook',
+    serve: 'Serve holders, owners and balance sums over HTTP while keeping the cache synced',
+    'rpc-status': 'Health-check the configured RPC endpoints, including archive capability',
+    verify: 'Report block ranges missing from the cache (exits with 1 when there are holes)',
+    export: 'Write the cached transfers and holder snapshots of a collection to a --bundle file',
+    import: 'Check a --bundle file against its manifest and the chain, then merge it into the cache',
+};
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_SYNC_INTERVAL = 60;
+const DEFAULT_POLL_INTERVAL = 12;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 60;
+
+const OPTIONS = {
+    block: { type: 'string', short: 'b' },
+    timestamp: { type: 'string', short: 't' },
+    direction: { type: 'string' },
+    contract: { type: 'string', short: 'c' },
+    'deployment-block': { type: 'string' },
+    all: { type: 'boolean' },
+    confirmations: { type: 'string' },
+    save: { type: 'boolean' },
+    'balance-backend': { type: 'string' },
+    'batch-size': { type: 'string' },
+    'holder-type': { type: 'string' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    asset: { type: 'string', multiple: true },
+    prices: { type: 'string' },
+    format: { type: 'string' },
+    top: { type: 'string' },
+    rpc: { type: 'string', multiple: true },
+    'rpc-config': { type: 'string' },
+    start: { type: 'string' },
+    end: { type: 'string' },
+    interval: { type: 'string' },
+    'skip-balances': { type: 'boolean' },
+    'from-block': { type: 'string' },
+    token: { type: 'string' },
+    wallet: { type: 'string' },
+    counterparty: { type: 'string' },
+    'poll-interval': { type: 'string' },
+    webhook: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    'sync-interval': { type: 'string' },
+    'health-check-interval': { type: 'string' },
+    db: { type: 'string' },
+    bundle: { type: 'string' },
+    'log-level': { type: 'string' },
+    'log-format': { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+function usage() {
+    const commandLines = Object.entries(COMMANDS)
+        .map(([name, description]) => `  ${name.padEnd(16)} ${description}`)
+        .join('\n');
+
+    return `Usage: node app.js <command> [options]
+       node app.js <unix timestamp>        (same as: snapshot --timestamp <unix timestamp>)
+
+Commands:
+${commandLines}
+
+Options:
+  -b, --block <number|latest>   Target block number
+  -t, --timestamp <time>        Target time, as a Unix timestamp or an ISO 8601 date
+      --direction <dir>         "before": last block at or before --timestamp (default)
+                                "after": first block at or after --timestamp
+  -c, --contract <address>      ERC-721 contract address (default: BAYC)
+      --deployment-block <n>    Deployment block of --contract, detected via getCode when omitted
+      --all                     sync, verify, watch: apply to every tracked collection
+      --confirmations <n>       Blocks below the head treated as final, newer ones are re-checked
+                                for reorgs on the next sync (default: 12)
+      --save                    holders: store the holder map as a snapshot for faster later lookups
+      --balance-backend <name>  How balances are fetched: multicall (default), batch or single
+      --batch-size <n>          Addresses per multicall or JSON-RPC batch (default: ${DEFAULT_BATCH_SIZE})
+      --holder-type <type>      balance, report, snapshot: count all holders (default), only eoa or only contract
+                                holders, classified with getCode at the target block
+      --include <address|file>  balance, report, snapshot: always count this holder, repeat for several or
+                                pass a file with one address per line
+      --exclude <address|file>  balance, report, snapshot: never count this holder, same forms as --include
+      --asset <spec>            balance, snapshot: sum this asset instead of holder ETH, report: add a column for
+                                it. Repeat for several: native, erc20:<address> or erc721:<address> (NFTs held)
+      --prices <path>           balance, report, snapshot: JSON file of token address or symbol -> ETH per whole
+                                token, values every --asset in ETH
+      --rpc <url>               JSON-RPC endpoint, repeat for several (default: RPC_URLS from .env)
+      --rpc-config <path>       JSON file listing endpoints and their rate limits (default: RPC_CONFIG)
+      --db <path>               SQLite cache file (default: ./events.db)
+      --bundle <path>           export, import: compressed cache bundle to write or read (.ndjson.gz)
+      --log-level <level>       quiet: only warnings and errors, info: progress too (default), debug: every
+                                chunk and RPC request. Logs go to stderr, results to stdout
+      --log-format <fmt>        text (default, with a progress bar on a terminal) or json, one object per line
+  -o, --output <path>           Write the command result as JSON to this file
+      --format <fmt>            report, timeseries: json, csv or ndjson (default: from the --output extension, else json)
+      --top <n>                 report: holders listed in the top-N summaries (default: ${DEFAULT_TOP_N})
+      --start <time>            timeseries: first point, as a Unix timestamp or an ISO 8601 date
+      --end <time>              timeseries: last point (default: now)
+      --interval <duration>     timeseries: time between points, e.g. 3600, 30m, 6h, 1d or 1w
+      --skip-balances           timeseries: leave out the total holder ETH, which needs an archive node
+      --from-block <n>          enrich, volume: first block of the range (default: deployment block)
+      --token <id>              token-history: token id to trace
+      --wallet <address>        wallet-history, transfers-between: wallet to look at
+      --counterparty <address>  transfers-between: the other side of the transfers
+      --poll-interval <s>       watch: seconds between checks for new blocks (default: ${DEFAULT_POLL_INTERVAL})
+      --webhook <url>           watch: POST every event to this URL instead of printing NDJSON to stdout
+      --port <n>                serve: port to listen on (default: ${DEFAULT_PORT})
+      --host <host>             serve: interface to listen on (default: ${DEFAULT_HOST})
+      --sync-interval <s>       serve: seconds between background syncs of every collection, 0 disables
+                                them (default: ${DEFAULT_SYNC_INTERVAL})
+      --health-check-interval <s>
+                                serve, watch: seconds between background checks of the RPC endpoints,
+                                0 disables them (default: ${DEFAULT_HEALTH_CHECK_INTERVAL})
+  -h, --help                    Show this help`;
+}
+
+// every value is an address or a file with one address per line (blank lines and # comments are skipped)
+function parseAddressList(values, flag) {
+    const addresses = [];
+    for (const value of values) {
+        if (ethers.isAddress(value)) {
+            addresses.push(ethers.getAddress(value.toLowerCase()));
+            continue;
+        }
+
+        let text;
+        try {
+            text = fs.readFileSync(value, 'utf8');
+        } catch (error) {
+            throw new UsageError(`Invalid ${flag} "${value}", expected an address or a readable file (${error.code || error.message})`);
+        }
+        text.split('\n').forEach((line, index) => {
+            const entry = line.replace(/#.*/, '').trim();
+            if (entry === '') {
+                return;
+            }
+            if (!ethers.isAddress(entry)) {
+                throw new UsageError(`Invalid address "${entry}" in ${flag} file ${value} on line ${index + 1}`);
+            }
+            addresses.push(ethers.getAddress(entry.toLowerCase()));
+        });
+    }
+    return Array.from(new Set(addresses));
+}
+
+// every value is an asset spec, repeated ones are listed once
+function parseAssetSpecs(values) {
+    const specs = new Map();
+    for (const value of values) {
+        const spec = parseAssetSpec(value);
+        if (!spec) {
+            throw new UsageError(`Invalid --asset "${value}", expected native, erc20:<address> or erc721:<address>`);
+        }
+        specs.set(`${spec.kind}:${spec.address}`, spec);
+    }
+    return Array.from(specs.values());
+}
+
+// a JSON object of token address or symbol -> ETH per whole token, as a Map of lowercase key -> wei
+function parsePriceTable(filePath) {
+    let table;
+    try {
+        table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Invalid --prices "${filePath}", expected a readable JSON file (${error.code || error.message})`);
+    }
+    if (table === null || typeof table !== 'object' || Array.isArray(table)) {
+        throw new UsageError(`Invalid --prices "${filePath}", expected a JSON object of token address or symbol -> price in ETH`);
+    }
+
+    const prices = new Map();
+    for (const [key, value] of Object.entries(table)) {
+        const price = parsePrice(value);
+        if (price === null) {
+            throw new UsageError(`Invalid price ${JSON.stringify(value)} of "${key}" in --prices file ${filePath}, expected a decimal number of ETH`);
+        }
+        prices.set(key.toLowerCase(), price);
+    }
+    return prices;
+}
+
+// accepts a Unix timestamp in seconds or anything Date.parse understands (ISO 8601 dates)
+function parseTimestamp(value, flag = '--timestamp') {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+
+    const milliseconds = Date.parse(value);
+    if (Number.isNaN(milliseconds)) {
+        throw new UsageError(`Invalid ${flag} "${value}", expected a Unix timestamp or an ISO 8601 date`);
+    }
+    return Math.floor(milliseconds / 1000);
+}
+
+function parseBlock(value) {
+    if (value === 'latest') {
+        return value;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid --block "${value}", expected a block number or "latest"`);
+    }
+    return Number(value);
+}
+
+function parseCli(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        // parseArgs throws TypeErrors for unknown flags and missing values
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    let [command, ...rest] = positionals;
+
+    // keep the original `node app.js <timestamp>` invocation working
+    if (command !== undefined && /^\d+$/.test(command)) {
+        if (values.timestamp !== undefined) {
+            throw new UsageError('Timestamp given both as a positional argument and as --timestamp');
+        }
+        values.timestamp = command;
+        command = 'snapshot';
+    }
+
+    if (values.help) {
+        return { command: command || null, help: true, options: {} };
+    }
+
+    command = command || 'snapshot';
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+    if (rest.length > 0) {
+        throw new UsageError(`Unexpected argument "${rest[0]}"`);
+    }
+
+    const options = {
+        block: values.block !== undefined ? parseBlock(values.block) : undefined,
+        timestamp: values.timestamp !== undefined ? parseTimestamp(values.timestamp) : undefined,
+        direction: values.direction !== undefined ? values.direction : 'before',
+        contract: undefined,
+        deploymentBlock: undefined,
+        all: Boolean(values.all),
+        confirmations: undefined,
+        save: Boolean(values.save),
+        balanceBackend: values['balance-backend'] !== undefined ? values['balance-backend'] : 'multicall',
+        batchSize: DEFAULT_BATCH_SIZE,
+        holderType: values['holder-type'] !== undefined ? values['holder-type'] : 'all',
+        include: parseAddressList(values.include || [], '--include'),
+        exclude: parseAddressList(values.exclude || [], '--exclude'),
+        assets: values.asset !== undefined ? parseAssetSpecs(values.asset) : undefined,
+        prices: values.prices !== undefined ? parsePriceTable(values.prices) : undefined,
+        format: values.format,
+        top: DEFAULT_TOP_N,
+        rpc: values.rpc || [],
+        rpcConfig: values['rpc-config'],
+        start: undefined,
+        end: undefined,
+        interval: undefined,
+        skipBalances: Boolean(values['skip-balances']),
+        fromBlock: undefined,
+        token: undefined,
+        wallet: undefined,
+        counterparty: undefined,
+        pollInterval: DEFAULT_POLL_INTERVAL,
+        webhook: values.webhook,
+        port: DEFAULT_PORT,
+        host: values.host !== undefined ? values.host : DEFAULT_HOST,
+        syncInterval: DEFAULT_SYNC_INTERVAL,
+        healthCheckInterval: DEFAULT_HEALTH_CHECK_INTERVAL,
+        db: values.db !== undefined ? path.resolve(values.db) : undefined,
+        bundle: values.bundle !== undefined ? path.resolve(values.bundle) : undefined,
+        logLevel: values['log-level'] !== undefined ? values['log-level'] : 'info',
+        logFormat: values['log-format'] !== undefined ? values['log-format'] : 'text',
+        output: values.output !== undefined ? path.resolve(values.output) : undefined,
+    };
+
+    if (values.contract !== undefined) {
+        if (!ethers.isAddress(values.contract)) {
+            throw new UsageError(`Invalid --contract "${values.contract}", expected a 0x-prefixed address`);
+        }
+        options.contract = values.contract.toLowerCase();
+    }
+
+    if (values.confirmations !== undefined) {
+        if (!/^\d+$/.test(values.confirmations)) {
+            throw new UsageError(`Invalid --confirmations "${values.confirmations}", expected a non-negative number`);
+        }
+        options.confirmations = Number(values.confirmations);
+    }
+
+    if (!BALANCE_BACKENDS.includes(options.balanceBackend)) {
+        throw new UsageError(`Invalid --balance-backend "${options.balanceBackend}", expected one of ${BALANCE_BACKENDS.join(', ')}`);
+    }
+    if (values['batch-size'] !== undefined) {
+        if (!/^[1-9]\d*$/.test(values['batch-size'])) {
+            throw new UsageError(`Invalid --batch-size "${values['batch-size']}", expected a positive number`);
+        }
+        options.batchSize = Number(values['batch-size']);
+    }
+
+    if (!HOLDER_TYPES.includes(options.holderType)) {
+        throw new UsageError(`Invalid --holder-type "${options.holderType}", expected one of ${HOLDER_TYPES.join(', ')}`);
+    }
+    const listedTwice = options.include.find((address) => options.exclude.includes(address));
+    if (listedTwice) {
+        throw new UsageError(`${listedTwice} is both included and excluded`);
+    }
+    if ((values['holder-type'] !== undefined || values.include || values.exclude) && !['balance', 'report', 'snapshot'].includes(command)) {
+        throw new UsageError('--holder-type, --include and --exclude are only supported by balance, report and snapshot');
+    }
+    if ((options.assets || options.prices) && !['balance', 'report', 'snapshot'].includes(command)) {
+        throw new UsageError('--asset and --prices are only supported by balance, report and snapshot');
+    }
+    if (options.prices && !options.assets) {
+        throw new UsageError('--prices requires --asset');
+    }
+
+    if (options.format !== undefined && !REPORT_FORMATS.includes(options.format)) {
+        throw new UsageError(`Invalid --format "${options.format}", expected one of ${REPORT_FORMATS.join(', ')}`);
+    }
+    if (values.top !== undefined) {
+        if (!/^\d+$/.test(values.top)) {
+            throw new UsageError(`Invalid --top "${values.top}", expected a number`);
+        }
+        options.top = Number(values.top);
+    }
+    if (options.format !== undefined && command !== 'report' && command !== 'timeseries') {
+        throw new UsageError('--format is only supported by report and timeseries');
+    }
+    if (values.top !== undefined && command !== 'report') {
+        throw new UsageError('--top is only supported by report');
+    }
+
+    if (command === 'timeseries') {
+        if (values.start === undefined || values.interval === undefined) {
+            throw new UsageError('timeseries requires --start and --interval');
+        }
+        options.start = parseTimestamp(values.start, '--start');
+        options.end = values.end !== undefined ? parseTimestamp(values.end, '--end') : Math.floor(Date.now() / 1000);
+        options.interval = parseInterval(values.interval);
+        if (options.interval === null) {
+            throw new UsageError(`Invalid --interval "${values.interval}", expected seconds or a duration like 30m, 6h, 1d or 1w`);
+        }
+        if (options.start > options.end) {
+            throw new UsageError('--start is after --end');
+        }
+        const pointCount = Math.floor((options.end - options.start) / options.interval) + 1;
+        if (pointCount > MAX_POINTS) {
+            throw new UsageError(`${pointCount} points between --start and --end, at most ${MAX_POINTS} are supported, use a longer --interval`);
+        }
+    } else if (values.start !== undefined || values.end !== undefined || values.interval !== undefined || options.skipBalances) {
+        throw new UsageError('--start, --end, --interval and --skip-balances are only supported by timeseries');
+    }
+
+    if (values.port !== undefined) {
+        if (!/^\d+$/.test(values.port) || Number(values.port) > 65535) {
+            throw new UsageError(`Invalid --port "${values.port}", expected a number up to 65535`);
+        }
+        options.port = Number(values.port);
+    }
+    if (values['sync-interval'] !== undefined) {
+        if (!/^\d+$/.test(values['sync-interval'])) {
+            throw new UsageError(`Invalid --sync-interval "${values['sync-interval']}", expected a number of seconds`);
+        }
+        options.syncInterval = Number(values['sync-interval']);
+    }
+    if ((values.port !== undefined || values.host !== undefined || values['sync-interval'] !== undefined) && command !== 'serve') {
+        throw new UsageError('--port, --host and --sync-interval are only supported by serve');
+    }
+
+    if (values['from-block'] !== undefined) {
+        if (!/^\d+$/.test(values['from-block'])) {
+            throw new UsageError(`Invalid --from-block "${values['from-block']}", expected a block number`);
+        }
+        if (command !== 'enrich' && command !== 'volume') {
+            throw new UsageError('--from-block is only supported by enrich and volume');
+        }
+        options.fromBlock = Number(values['from-block']);
+    }
+
+    if (values.token !== undefined) {
+        if (!/^\d+$/.test(values.token)) {
+            throw new UsageError(`Invalid --token "${values.token}", expected a token id`);
+        }
+        options.token = BigInt(values.token).toString();
+    }
+    // transfers store checksummed addresses
+    for (const name of ['wallet', 'counterparty']) {
+        if (values[name] !== undefined) {
+            if (!ethers.isAddress(values[name])) {
+                throw new UsageError(`Invalid --${name} "${values[name]}", expected a 0x-prefixed address`);
+            }
+            options[name] = ethers.getAddress(values[name].toLowerCase());
+        }
+    }
+    const historyFlags = {
+        'token-history': ['token'],
+        'wallet-history': ['wallet'],
+        'transfers-between': ['wallet', 'counterparty'],
+    };
+    for (const name of ['token', 'wallet', 'counterparty']) {
+        if (options[name] !== undefined && !(historyFlags[command] || []).includes(name)) {
+            throw new UsageError(`--${name} is not supported by ${command}`);
+        }
+    }
+    for (const name of historyFlags[command] || []) {
+        if (options[name] === undefined) {
+            throw new UsageError(`${command} requires --${name}`);
+        }
+    }
+
+    if (values['poll-interval'] !== undefined) {
+        if (!/^[1-9]\d*$/.test(values['poll-interval'])) {
+            throw new UsageError(`Invalid --poll-interval "${values['poll-interval']}", expected a positive number of seconds`);
+        }
+        options.pollInterval = Number(values['poll-interval']);
+    }
+    if (options.webhook !== undefined && !/^https?:\/\/./.test(options.webhook)) {
+        throw new UsageError(`Invalid --webhook "${options.webhook}", expected an http(s) URL`);
+    }
+    if ((values['poll-interval'] !== undefined || options.webhook !== undefined) && command !== 'watch') {
+        throw new UsageError('--poll-interval and --webhook are only supported by watch');
+    }
+    if (values['health-check-interval'] !== undefined) {
+        if (!/^\d+$/.test(values['health-check-interval'])) {
+            throw new UsageError(`Invalid --health-check-interval "${values['health-check-interval']}", expected a number of seconds`);
+        }
+        if (command !== 'serve' && command !== 'watch') {
+            throw new UsageError('--health-check-interval is only supported by serve and watch');
+        }
+        options.healthCheckInterval = Number(values['health-check-interval']);
+    }
+
+    if (!LOG_LEVELS.includes(options.logLevel)) {
+        throw new UsageError(`Invalid --log-level "${options.logLevel}", expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(options.logFormat)) {
+        throw new UsageError(`Invalid --log-format "${options.logFormat}", expected one of ${LOG_FORMATS.join(', ')}`);
+    }
+
+    if (command === 'export' || command === 'import') {
+        if (options.bundle === undefined) {
+            throw new UsageError(`${command} requires --bundle`);
+        }
+    } else if (options.bundle !== undefined) {
+        throw new UsageError('--bundle is only supported by export and import');
+    }
+
+    if (options.direction !== 'before' && options.direction !== 'after') {
+        throw new UsageError(`Invalid --direction "${options.direction}", expected "before" or "after"`);
+    }
+    if (values.direction !== undefined && options.timestamp === undefined) {
+        throw new UsageError('--direction only applies together with --timestamp');
+    }
+
+    if (values['deployment-block'] !== undefined) {
+        if (!/^\d+$/.test(values['deployment-block'])) {
+            throw new UsageError(`Invalid --deployment-block "${values['deployment-block']}", expected a block number`);
+        }
+        options.deploymentBlock = Number(values['deployment-block']);
+    }
+
+    if (options.all && !['sync', 'verify', 'watch'].includes(command)) {
+        throw new UsageError('--all is only supported by sync, verify and watch');
+    }
+    if (options.all && options.contract !== undefined) {
+        throw new UsageError('Use either --all or --contract, not both');
+    }
+    if (options.save && command !== 'holders') {
+        throw new UsageError('--save is only supported by holders');
+    }
+    if (options.block !== undefined && options.timestamp !== undefined) {
+        throw new UsageError('Use either --block or --timestamp, not both');
+    }
+    if (command === 'block-at' && options.timestamp === undefined) {
+        throw new UsageError('block-at requires --timestamp');
+    }
+
+    return { command, help: false, options };
+}
+
+module.exports = {
+    UsageError,
+    COMMANDS,
+    usage,
+    parseTimestamp,
+    parseBlock,
+    parseCli,
+};
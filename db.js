@@ -1,27 +1,76 @@
 // db.js
 const sqlite3 = require('sqlite3');
 const path = require('path');
+const { logger } = require('./log');
 
 const DB_PATH = path.resolve(__dirname, 'events.db'); // Path to your SQLite database file
 
+// databases created before multi-collection support only ever held BAYC
+const LEGACY_CONTRACT_ADDRESS = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+const LEGACY_DEPLOYMENT_BLOCK = 12286690;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// only moves a token's owner forward, so events can be ingested in any order
+const OWNER_UPSERT_SQL = `
+    INSERT INTO token_owners (contractAddress, tokenId, owner, blockNumber, logIndex) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (contractAddress, tokenId) DO UPDATE SET
+        owner = excluded.owner, blockNumber = excluded.blockNumber, logIndex = excluded.logIndex
+    WHERE excluded.blockNumber > token_owners.blockNumber
+        OR (excluded.blockNumber = token_owners.blockNumber AND excluded.logIndex > token_owners.logIndex)
+`;
+
+// newest event of every token, callers append further AND conditions
+const LATEST_OWNER_SELECT = `
+    SELECT contractAddress, tokenId, toAddress, blockNumber, logIndex FROM (
+        SELECT contractAddress, tokenId, toAddress, blockNumber, logIndex,
+            ROW_NUMBER() OVER (PARTITION BY contractAddress, tokenId ORDER BY blockNumber DESC, logIndex DESC) AS position
+        FROM transfers
+    ) AS latest
+    WHERE position = 1
+`;
+
+const COLLECTION_SELECT = `
+    SELECT c.address, c.deploymentBlock,
+        COALESCE((
+            SELECT r.toBlock FROM synced_ranges r
+            WHERE r.contractAddress = c.address AND r.fromBlock <= c.deploymentBlock AND r.toBlock >= c.deploymentBlock
+        ), -1) AS syncedThroughBlock
+    FROM collections c
+`;
+
+// transfers with the timestamp of their block where it is cached, callers append WHERE and ORDER BY
+const TRANSFER_HISTORY_SELECT = `
+    SELECT t.blockNumber, b.timestamp, t.transactionHash, t.logIndex, t.fromAddress AS "from", t.toAddress AS "to", t.tokenId
+    FROM transfers t
+    LEFT JOIN block_timestamps b ON b.blockNumber = t.blockNumber
+`;
+
 class EventCacheDB {
-    constructor() {
-        this.db = new sqlite3.Database(DB_PATH, (err) => {
-            if (err) {
-                console.error('Error opening database:', err.message);
-            } else {
-                console.log('Database opened successfully.');
-                this.createTable();
-            }
+    constructor(dbPath = DB_PATH) {
+        // every query waits on this so the schema is in place before it runs
+        this.ready = new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(dbPath, (err) => {
+                if (err) {
+                    logger.error(`Error opening database: ${err.message}`);
+                    reject(err);
+                } else {
+                    logger.debug('Database opened successfully.');
+                    this.createTable().then(resolve, reject);
+                }
+            });
         });
+        // failures are reported to whichever query awaits ready first
+        this.ready.catch(() => {});
     }
 
-    createTable() {
+    async createTable() {
         // blockNumber and logIndex are indexed for efficient range queries and ordering
         // fromAddress, toAddress, and tokenId are also indexed for potential filtering needs
         const createTableSql = `
             CREATE TABLE IF NOT EXISTS transfers (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
+                contractAddress TEXT NOT NULL,
                 blockNumber INTEGER NOT NULL,
                 logIndex INTEGER NOT NULL,
                 transactionHash TEXT NOT NULL,
@@ -30,32 +79,596 @@ class EventCacheDB {
                 tokenId TEXT NOT NULL,
                 UNIQUE(blockNumber, logIndex, transactionHash) -- Ensures no duplicate events
             );
+            -- one row per tracked ERC-721 contract
+            CREATE TABLE IF NOT EXISTS collections (
+                address TEXT PRIMARY KEY,
+                deploymentBlock INTEGER NOT NULL
+            );
+            -- inclusive block ranges whose logs are fully cached, kept merged so ranges never overlap or touch
+            CREATE TABLE IF NOT EXISTS synced_ranges (
+                contractAddress TEXT NOT NULL,
+                fromBlock INTEGER NOT NULL,
+                toBlock INTEGER NOT NULL,
+                PRIMARY KEY (contractAddress, fromBlock)
+            );
+            -- canonical hashes of synced blocks that were within the confirmation depth when they were fetched,
+            -- re-checked on the next sync to detect reorgs and pruned once they are confirmed
+            CREATE TABLE IF NOT EXISTS block_hashes (
+                contractAddress TEXT NOT NULL,
+                blockNumber INTEGER NOT NULL,
+                blockHash TEXT NOT NULL,
+                PRIMARY KEY (contractAddress, blockNumber)
+            );
+            -- owner of every token as of the newest cached Transfer, burned tokens keep a zero-address row
+            -- so out-of-order backfills can tell whether an event is newer than what is stored
+            CREATE TABLE IF NOT EXISTS token_owners (
+                contractAddress TEXT NOT NULL,
+                tokenId TEXT NOT NULL,
+                owner TEXT NOT NULL,
+                blockNumber INTEGER NOT NULL,
+                logIndex INTEGER NOT NULL,
+                PRIMARY KEY (contractAddress, tokenId)
+            );
+            -- full holder maps materialized at chosen blocks
+            CREATE TABLE IF NOT EXISTS holder_snapshots (
+                contractAddress TEXT NOT NULL,
+                blockNumber INTEGER NOT NULL,
+                createdAt INTEGER NOT NULL,
+                PRIMARY KEY (contractAddress, blockNumber)
+            );
+            CREATE TABLE IF NOT EXISTS holder_snapshot_owners (
+                contractAddress TEXT NOT NULL,
+                blockNumber INTEGER NOT NULL,
+                tokenId TEXT NOT NULL,
+                owner TEXT NOT NULL,
+                PRIMARY KEY (contractAddress, blockNumber, tokenId)
+            );
+            -- timestamps of every block the timestamp resolver has fetched, so repeated lookups stay local
+            CREATE TABLE IF NOT EXISTS block_timestamps (
+                blockNumber INTEGER PRIMARY KEY,
+                timestamp INTEGER NOT NULL
+            );
+            -- what a transfer was, filled in by the enrichment pass from its transaction and receipt.
+            -- amounts are wei as decimal strings, the buyer's share when one transaction moved several NFTs to it
+            CREATE TABLE IF NOT EXISTS transfer_details (
+                contractAddress TEXT NOT NULL,
+                blockNumber INTEGER NOT NULL,
+                logIndex INTEGER NOT NULL,
+                kind TEXT NOT NULL, -- mint, burn, sale or transfer
+                ethWei TEXT NOT NULL,
+                wethWei TEXT NOT NULL,
+                marketplace TEXT,
+                PRIMARY KEY (contractAddress, blockNumber, logIndex)
+            );
+            -- whether an address had code at a block, from getCode. code appears when a contract is deployed
+            -- and practically never goes away, so a contract at a block is one at every later block and an
+            -- EOA at a block was one at every earlier block
+            CREATE TABLE IF NOT EXISTS address_types (
+                address TEXT NOT NULL,
+                blockNumber INTEGER NOT NULL,
+                isContract INTEGER NOT NULL,
+                PRIMARY KEY (address, blockNumber)
+            );
+        `;
+        const createIndexSql = `
             CREATE INDEX IF NOT EXISTS idx_blockNumber ON transfers (blockNumber);
+            CREATE INDEX IF NOT EXISTS idx_contract_blockNumber ON transfers (contractAddress, blockNumber, logIndex);
             CREATE INDEX IF NOT EXISTS idx_fromAddress ON transfers (fromAddress);
             CREATE INDEX IF NOT EXISTS idx_toAddress ON transfers (toAddress);
             CREATE INDEX IF NOT EXISTS idx_tokenId ON transfers (tokenId);
+            CREATE INDEX IF NOT EXISTS idx_block_timestamps_timestamp ON block_timestamps (timestamp);
+            CREATE INDEX IF NOT EXISTS idx_token_owners_owner ON token_owners (contractAddress, owner);
         `;
-        this.db.exec(createTableSql, (err) => {
-            if (err) {
-                console.error('Error creating transfers table:', err.message);
-            } else {
-                console.log('Transfers table checked/created.');
-            }
+        try {
+            await this.exec(createTableSql);
+            await this.migrateLegacyTransfers();
+            await this.migrateSyncProgress();
+            await this.migrateOwnershipState();
+            await this.exec(createIndexSql);
+            logger.debug('Transfers table checked/created.');
+        } catch (err) {
+            logger.error(`Error creating transfers table: ${err.message}`);
+            throw err;
+        }
+    }
+
+    // add the contractAddress column to caches written before collections existed
+    async migrateLegacyTransfers() {
+        const columns = await this.all('PRAGMA table_info(transfers);', [], { wait: false });
+        if (columns.some((column) => column.name === 'contractAddress')) {
+            return;
+        }
+
+        // MAX(blockNumber) never said which ranges were fetched, so no synced range is recorded and the
+        // next sync re-scans everything, existing rows are kept by INSERT OR IGNORE
+        logger.info('Migrating transfers table to multi-collection layout...');
+        await this.exec(`
+            BEGIN TRANSACTION;
+            ALTER TABLE transfers ADD COLUMN contractAddress TEXT NOT NULL DEFAULT '${LEGACY_CONTRACT_ADDRESS}';
+            INSERT OR IGNORE INTO collections (address, deploymentBlock)
+                VALUES ('${LEGACY_CONTRACT_ADDRESS}', ${LEGACY_DEPLOYMENT_BLOCK});
+            COMMIT;
+        `);
+    }
+
+    // collections.syncedThroughBlock was written after every chunk, so it converts to a single synced range
+    async migrateSyncProgress() {
+        const columns = await this.all('PRAGMA table_info(collections);', [], { wait: false });
+        if (!columns.some((column) => column.name === 'syncedThroughBlock')) {
+            return;
+        }
+
+        await this.exec(`
+            BEGIN TRANSACTION;
+            INSERT OR IGNORE INTO synced_ranges (contractAddress, fromBlock, toBlock)
+                SELECT address, deploymentBlock, syncedThroughBlock FROM collections
+                WHERE syncedThroughBlock >= deploymentBlock;
+            ALTER TABLE collections DROP COLUMN syncedThroughBlock;
+            COMMIT;
+        `);
+    }
+
+    // caches written before token_owners existed get it built once from their transfers
+    async migrateOwnershipState() {
+        const owners = await this.get('SELECT 1 AS found FROM token_owners LIMIT 1;', [], { wait: false });
+        const transfers = await this.get('SELECT 1 AS found FROM transfers LIMIT 1;', [], { wait: false });
+        if (owners || !transfers) {
+            return;
+        }
+
+        logger.info('Building token ownership state from cached transfers...');
+        await this.run(`INSERT INTO token_owners (contractAddress, tokenId, owner, blockNumber, logIndex) ${LATEST_OWNER_SELECT};`, [], { wait: false });
+    }
+
+    // promise wrappers around the sqlite3 callback API, `wait: false` is only for use inside createTable
+    async exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    async run(sql, params = [], { wait = true } = {}) {
+        if (wait) await this.ready;
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
         });
     }
 
+    async get(sql, params = [], { wait = true } = {}) {
+        if (wait) await this.ready;
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    }
+
+    async all(sql, params = [], { wait = true } = {}) {
+        if (wait) await this.ready;
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+
+    // Register a collection, a no-op if it is already tracked
+    async addCollection(address, deploymentBlock) {
+        await this.run(
+            'INSERT OR IGNORE INTO collections (address, deploymentBlock) VALUES (?, ?);',
+            [address.toLowerCase(), deploymentBlock]
+        );
+        return this.getCollection(address);
+    }
+
+    // syncedThroughBlock is the end of the synced range that starts at the deployment block, -1 if none
+    async getCollection(address) {
+        const rows = await this.all(`${COLLECTION_SELECT} WHERE c.address = ?;`, [address.toLowerCase()]);
+        return rows[0] || null;
+    }
+
+    async getCollections() {
+        return this.all(`${COLLECTION_SELECT} ORDER BY c.deploymentBlock ASC;`);
+    }
+
+    // Mark [fromBlock, toBlock] as fully synced, merging it with any range it overlaps or touches
+    async addSyncedRange(contractAddress, fromBlock, toBlock) {
+        await this.ready;
+        await this.run('BEGIN TRANSACTION;');
+        try {
+            await this.mergeSyncedRange(contractAddress.toLowerCase(), fromBlock, toBlock);
+            await this.run('COMMIT;');
+        } catch (err) {
+            await this.run('ROLLBACK;');
+            throw err;
+        }
+    }
+
+    // the merge itself, callers run it inside their transaction
+    async mergeSyncedRange(address, fromBlock, toBlock) {
+        const neighbours = await this.all(
+            'SELECT fromBlock, toBlock FROM synced_ranges WHERE contractAddress = ? AND fromBlock <= ? AND toBlock >= ?;',
+            [address, toBlock + 1, fromBlock - 1]
+        );
+        const mergedFrom = Math.min(fromBlock, ...neighbours.map((range) => range.fromBlock));
+        const mergedTo = Math.max(toBlock, ...neighbours.map((range) => range.toBlock));
+
+        await this.run(
+            'DELETE FROM synced_ranges WHERE contractAddress = ? AND fromBlock <= ? AND toBlock >= ?;',
+            [address, toBlock + 1, fromBlock - 1]
+        );
+        await this.run(
+            'INSERT INTO synced_ranges (contractAddress, fromBlock, toBlock) VALUES (?, ?, ?);',
+            [address, mergedFrom, mergedTo]
+        );
+    }
+
+    async getSyncedRanges(contractAddress) {
+        return this.all(
+            'SELECT fromBlock, toBlock FROM synced_ranges WHERE contractAddress = ? ORDER BY fromBlock ASC;',
+            [contractAddress.toLowerCase()]
+        );
+    }
+
+    // Sub-ranges of [fromBlock, toBlock] that are not covered by any synced range
+    async getUnsyncedRanges(contractAddress, fromBlock, toBlock) {
+        const synced = await this.all(
+            `SELECT fromBlock, toBlock FROM synced_ranges
+             WHERE contractAddress = ? AND toBlock >= ? AND fromBlock <= ?
+             ORDER BY fromBlock ASC;`,
+            [contractAddress.toLowerCase(), fromBlock, toBlock]
+        );
+
+        const gaps = [];
+        let cursor = fromBlock;
+        for (const range of synced) {
+            if (range.fromBlock > cursor) {
+                gaps.push({ fromBlock: cursor, toBlock: range.fromBlock - 1 });
+            }
+            cursor = Math.max(cursor, range.toBlock + 1);
+        }
+        if (cursor <= toBlock) {
+            gaps.push({ fromBlock: cursor, toBlock });
+        }
+        return gaps;
+    }
+
+    // hashes is a Map of blockNumber -> blockHash
+    async saveBlockHashes(contractAddress, hashes) {
+        const address = contractAddress.toLowerCase();
+        for (const [blockNumber, blockHash] of hashes) {
+            await this.run(
+                'INSERT OR REPLACE INTO block_hashes (contractAddress, blockNumber, blockHash) VALUES (?, ?, ?);',
+                [address, blockNumber, blockHash]
+            );
+        }
+    }
+
+    async getBlockHashes(contractAddress) {
+        return this.all(
+            'SELECT blockNumber, blockHash FROM block_hashes WHERE contractAddress = ? ORDER BY blockNumber ASC;',
+            [contractAddress.toLowerCase()]
+        );
+    }
+
+    // Forget hashes of blocks that are now deep enough to be considered final
+    async pruneBlockHashes(contractAddress, confirmedBlock) {
+        await this.run(
+            'DELETE FROM block_hashes WHERE contractAddress = ? AND blockNumber <= ?;',
+            [contractAddress.toLowerCase(), confirmedBlock]
+        );
+    }
+
+    // Drop everything cached for a collection from blockNumber upwards, after a reorg replaced those blocks
+    async rollbackFromBlock(contractAddress, blockNumber) {
+        const address = contractAddress.toLowerCase();
+        await this.ready;
+        await this.run('BEGIN TRANSACTION;');
+        try {
+            await this.run('DELETE FROM transfers WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+            // owners set by removed events fall back to the newest remaining event of their token
+            await this.run('DELETE FROM token_owners WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+            await this.run(
+                `INSERT INTO token_owners (contractAddress, tokenId, owner, blockNumber, logIndex)
+                 ${LATEST_OWNER_SELECT}
+                 AND contractAddress = ?
+                 AND NOT EXISTS (SELECT 1 FROM token_owners o WHERE o.contractAddress = latest.contractAddress AND o.tokenId = latest.tokenId);`,
+                [address]
+            );
+            await this.deleteHolderSnapshotsFrom(address, blockNumber);
+            await this.run('DELETE FROM synced_ranges WHERE contractAddress = ? AND fromBlock >= ?;', [address, blockNumber]);
+            await this.run(
+                'UPDATE synced_ranges SET toBlock = ? WHERE contractAddress = ? AND toBlock >= ?;',
+                [blockNumber - 1, address, blockNumber]
+            );
+            await this.run('DELETE FROM block_hashes WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+            await this.run('DELETE FROM transfer_details WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+            // the replacing blocks may carry different timestamps
+            await this.run('DELETE FROM block_timestamps WHERE blockNumber >= ?;', [blockNumber]);
+            await this.run('COMMIT;');
+        } catch (err) {
+            await this.run('ROLLBACK;');
+            throw err;
+        }
+    }
+
+    async saveBlockTimestamp(blockNumber, timestamp) {
+        await this.run(
+            'INSERT OR REPLACE INTO block_timestamps (blockNumber, timestamp) VALUES (?, ?);',
+            [blockNumber, timestamp]
+        );
+    }
+
+    async getBlockTimestamp(blockNumber) {
+        const row = await this.get('SELECT timestamp FROM block_timestamps WHERE blockNumber = ?;', [blockNumber]);
+        return row ? row.timestamp : null;
+    }
+
+    // Types ('eoa' or 'contract') of the addresses at a block that follow from earlier getCode results,
+    // as a Map of address -> type; addresses nothing is known about are left out
+    async getAddressTypes(addresses, blockNumber) {
+        const types = new Map();
+        // stay below SQLite's limit of host parameters per statement
+        for (let start = 0; start < addresses.length; start += 500) {
+            const chunk = addresses.slice(start, start + 500);
+            const rows = await this.all(
+                `SELECT address,
+                    MAX(isContract = 1 AND blockNumber <= ?) AS contractBefore,
+                    MAX(isContract = 0 AND blockNumber >= ?) AS eoaAfter
+                 FROM address_types WHERE address IN (${chunk.map(() => '?').join(', ')}) GROUP BY address;`,
+                [blockNumber, blockNumber, ...chunk]
+            );
+            for (const row of rows) {
+                if (row.contractBefore) {
+                    types.set(row.address, 'contract');
+                } else if (row.eoaAfter) {
+                    types.set(row.address, 'eoa');
+                }
+            }
+        }
+        return types;
+    }
+
+    // types is a Map of address -> 'eoa' or 'contract' at the block
+    async saveAddressTypes(blockNumber, types) {
+        await this.ready;
+        await this.run('BEGIN TRANSACTION;');
+        try {
+            await new Promise((resolve, reject) => {
+                const stmt = this.db.prepare(
+                    'INSERT OR REPLACE INTO address_types (address, blockNumber, isContract) VALUES (?, ?, ?);'
+                );
+                for (const [address, type] of types) {
+                    stmt.run(address, blockNumber, type === 'contract' ? 1 : 0);
+                }
+                stmt.finalize((err) => (err ? reject(err) : resolve()));
+            });
+            await this.run('COMMIT;');
+        } catch (err) {
+            await this.run('ROLLBACK;');
+            throw err;
+        }
+    }
+
+    // Closest cached blocks on either side of a timestamp. `inclusive` puts blocks stamped exactly at
+    // the timestamp on the left side ("at or before"), otherwise on the right side ("at or after")
+    async getTimestampBracket(timestamp, inclusive) {
+        const leftOp = inclusive ? '<=' : '<';
+        const rightOp = inclusive ? '>' : '>=';
+        const left = await this.get(
+            `SELECT blockNumber AS number, timestamp FROM block_timestamps WHERE timestamp ${leftOp} ? ORDER BY blockNumber DESC LIMIT 1;`,
+            [timestamp]
+        );
+        const right = await this.get(
+            `SELECT blockNumber AS number, timestamp FROM block_timestamps WHERE timestamp ${rightOp} ? ORDER BY blockNumber ASC LIMIT 1;`,
+            [timestamp]
+        );
+        return { left: left || null, right: right || null };
+    }
+
+    // Snapshots at or above blockNumber no longer match the cache once events below them change
+    async deleteHolderSnapshotsFrom(contractAddress, blockNumber) {
+        const address = contractAddress.toLowerCase();
+        await this.run('DELETE FROM holder_snapshot_owners WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+        await this.run('DELETE FROM holder_snapshots WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+    }
+
+    // holderMap is a Map of tokenId -> owner, as returned by getHolderMapByBlock
+    async saveHolderSnapshot(contractAddress, blockNumber, holderMap) {
+        const address = contractAddress.toLowerCase();
+        await this.ready;
+        await this.run('BEGIN TRANSACTION;');
+        try {
+            // replace an earlier snapshot of the same block
+            await this.run('DELETE FROM holder_snapshot_owners WHERE contractAddress = ? AND blockNumber = ?;', [address, blockNumber]);
+            await this.run('DELETE FROM holder_snapshots WHERE contractAddress = ? AND blockNumber = ?;', [address, blockNumber]);
+            await this.run(
+                'INSERT INTO holder_snapshots (contractAddress, blockNumber, createdAt) VALUES (?, ?, ?);',
+                [address, blockNumber, Math.floor(Date.now() / 1000)]
+            );
+            await new Promise((resolve, reject) => {
+                const stmt = this.db.prepare(
+                    'INSERT INTO holder_snapshot_owners (contractAddress, blockNumber, tokenId, owner) VALUES (?, ?, ?, ?);'
+                );
+                for (const [tokenId, owner] of holderMap) {
+                    stmt.run(address, blockNumber, tokenId, owner);
+                }
+                stmt.finalize((err) => (err ? reject(err) : resolve()));
+            });
+            await this.run('COMMIT;');
+        } catch (err) {
+            await this.run('ROLLBACK;');
+            throw err;
+        }
+    }
+
+    // The latest snapshot at or below blockNumber, or null
+    async getNearestHolderSnapshot(contractAddress, blockNumber) {
+        const row = await this.get(
+            `SELECT blockNumber FROM holder_snapshots WHERE contractAddress = ? AND blockNumber <= ?
+             ORDER BY blockNumber DESC LIMIT 1;`,
+            [contractAddress.toLowerCase(), blockNumber]
+        );
+        return row || null;
+    }
+
+    async getHolderSnapshot(contractAddress, blockNumber) {
+        const rows = await this.all(
+            'SELECT tokenId, owner FROM holder_snapshot_owners WHERE contractAddress = ? AND blockNumber = ?;',
+            [contractAddress.toLowerCase(), blockNumber]
+        );
+        return new Map(rows.map((row) => [row.tokenId, row.owner]));
+    }
+
+    async getHolderSnapshots(contractAddress) {
+        return this.all(
+            `SELECT s.blockNumber, s.createdAt,
+                (SELECT COUNT(*) FROM holder_snapshot_owners o
+                 WHERE o.contractAddress = s.contractAddress AND o.blockNumber = s.blockNumber) AS tokenCount
+             FROM holder_snapshots s WHERE s.contractAddress = ? ORDER BY s.blockNumber ASC;`,
+            [contractAddress.toLowerCase()]
+        );
+    }
+
+    // Current owner of every token that is not burned, as a Map of tokenId -> owner
+    async getCurrentOwners(contractAddress) {
+        const rows = await this.all(
+            'SELECT tokenId, owner FROM token_owners WHERE contractAddress = ? AND owner != ?;',
+            [contractAddress.toLowerCase(), ZERO_ADDRESS]
+        );
+        return new Map(rows.map((row) => [row.tokenId, row.owner]));
+    }
+
+    // Current owner of a single token with the block of its last transfer, null if it was never minted
+    async getTokenOwner(contractAddress, tokenId) {
+        const row = await this.get(
+            'SELECT tokenId, owner, blockNumber FROM token_owners WHERE contractAddress = ? AND tokenId = ?;',
+            [contractAddress.toLowerCase(), tokenId]
+        );
+        return row || null;
+    }
+
+    // Token ids an address currently holds, owners are stored checksummed
+    async getTokensByOwner(contractAddress, owner) {
+        const rows = await this.all(
+            'SELECT tokenId FROM token_owners WHERE contractAddress = ? AND owner = ?;',
+            [contractAddress.toLowerCase(), owner]
+        );
+        return rows.map((row) => row.tokenId);
+    }
+
+    // Every transfer of a token in chain order, timestamp is null for blocks not in block_timestamps yet
+    async getTokenHistory(contractAddress, tokenId) {
+        return this.all(
+            `${TRANSFER_HISTORY_SELECT} WHERE t.contractAddress = ? AND t.tokenId = ? ORDER BY t.blockNumber ASC, t.logIndex ASC;`,
+            [contractAddress.toLowerCase(), tokenId]
+        );
+    }
+
+    // Every transfer to or from a wallet in chain order, addresses are stored checksummed
+    async getWalletTransfers(contractAddress, wallet) {
+        return this.all(
+            `${TRANSFER_HISTORY_SELECT} WHERE t.contractAddress = ? AND (t.fromAddress = ? OR t.toAddress = ?)
+             ORDER BY t.blockNumber ASC, t.logIndex ASC;`,
+            [contractAddress.toLowerCase(), wallet, wallet]
+        );
+    }
+
+    // Transfers between two addresses in either direction, in chain order
+    async getTransfersBetween(contractAddress, addressA, addressB) {
+        return this.all(
+            `${TRANSFER_HISTORY_SELECT} WHERE t.contractAddress = ?
+                AND ((t.fromAddress = ? AND t.toAddress = ?) OR (t.fromAddress = ? AND t.toAddress = ?))
+             ORDER BY t.blockNumber ASC, t.logIndex ASC;`,
+            [contractAddress.toLowerCase(), addressA, addressB, addressB, addressA]
+        );
+    }
+
+    // Transfers in a block range the enrichment pass has not looked at yet, oldest first
+    async getUnenrichedTransfers(contractAddress, fromBlock, toBlock, limit) {
+        return this.all(
+            `SELECT t.blockNumber, t.logIndex, t.transactionHash, t.fromAddress AS "from", t.toAddress AS "to", t.tokenId
+             FROM transfers t
+             WHERE t.contractAddress = ? AND t.blockNumber >= ? AND t.blockNumber <= ?
+                AND NOT EXISTS (
+                    SELECT 1 FROM transfer_details d
+                    WHERE d.contractAddress = t.contractAddress AND d.blockNumber = t.blockNumber AND d.logIndex = t.logIndex
+                )
+             ORDER BY t.blockNumber ASC, t.logIndex ASC LIMIT ?;`,
+            [contractAddress.toLowerCase(), fromBlock, toBlock, limit]
+        );
+    }
+
+    async countUnenrichedTransfers(contractAddress, fromBlock, toBlock) {
+        const row = await this.get(
+            `SELECT COUNT(*) AS count FROM transfers t
+             WHERE t.contractAddress = ? AND t.blockNumber >= ? AND t.blockNumber <= ?
+                AND NOT EXISTS (
+                    SELECT 1 FROM transfer_details d
+                    WHERE d.contractAddress = t.contractAddress AND d.blockNumber = t.blockNumber AND d.logIndex = t.logIndex
+                );`,
+            [contractAddress.toLowerCase(), fromBlock, toBlock]
+        );
+        return row.count;
+    }
+
+    async saveTransferDetails(contractAddress, details) {
+        const address = contractAddress.toLowerCase();
+        await this.ready;
+        await this.run('BEGIN TRANSACTION;');
+        try {
+            for (const detail of details) {
+                await this.run(
+                    `INSERT OR REPLACE INTO transfer_details (contractAddress, blockNumber, logIndex, kind, ethWei, wethWei, marketplace)
+                     VALUES (?, ?, ?, ?, ?, ?, ?);`,
+                    [address, detail.blockNumber, detail.logIndex, detail.kind, detail.ethWei.toString(), detail.wethWei.toString(), detail.marketplace]
+                );
+            }
+            await this.run('COMMIT;');
+        } catch (err) {
+            await this.run('ROLLBACK;');
+            throw err;
+        }
+    }
+
+    // Sales in a block range in chain order, with the timestamp of their block where it is cached
+    async getSales(contractAddress, fromBlock, toBlock) {
+        return this.all(
+            `SELECT t.blockNumber, b.timestamp, t.transactionHash, t.logIndex, t.fromAddress AS "from", t.toAddress AS "to", t.tokenId,
+                d.ethWei, d.wethWei, d.marketplace
+             FROM transfer_details d
+             JOIN transfers t ON t.contractAddress = d.contractAddress AND t.blockNumber = d.blockNumber AND t.logIndex = d.logIndex
+             LEFT JOIN block_timestamps b ON b.blockNumber = t.blockNumber
+             WHERE d.contractAddress = ? AND d.kind = 'sale' AND d.blockNumber >= ? AND d.blockNumber <= ?
+             ORDER BY t.blockNumber ASC, t.logIndex ASC;`,
+            [contractAddress.toLowerCase(), fromBlock, toBlock]
+        );
+    }
+
+    async countEventsByBlockRange(contractAddress, fromBlock, toBlock) {
+        const row = await this.get(
+            'SELECT COUNT(*) AS count FROM transfers WHERE contractAddress = ? AND blockNumber >= ? AND blockNumber <= ?;',
+            [contractAddress.toLowerCase(), fromBlock, toBlock]
+        );
+        return row.count;
+    }
+
     // Insert a single event
     async insertEvent(event) {
-        return new Promise((resolve, reject) => {
+        await this.ready;
+        const lastID = await new Promise((resolve, reject) => {
             const sql = `
                 INSERT OR IGNORE INTO transfers (
-                    blockNumber, logIndex, transactionHash, fromAddress, toAddress, tokenId
-                ) VALUES (?, ?, ?, ?, ?, ?)
+                    contractAddress, blockNumber, logIndex, transactionHash, fromAddress, toAddress, tokenId
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)
             `;
             // Use run for INSERT, UPDATE, DELETE
             this.db.run(
                 sql,
                 [
+                    event.address.toLowerCase(),
                     event.blockNumber,
                     event.logIndex,
                     event.transactionHash,
@@ -73,22 +686,31 @@ class EventCacheDB {
                 }
             );
         });
+
+        const address = event.address.toLowerCase();
+        await this.run(OWNER_UPSERT_SQL, [address, event.args.tokenId.toString(), event.args.to, event.blockNumber, event.logIndex]);
+        await this.deleteHolderSnapshotsFrom(address, event.blockNumber);
+        return lastID;
     }
 
-    // Bulk insert events
+    // Bulk insert events, each event carries its emitting contract in event.address
     async bulkInsertEvents(events) {
+        await this.ready;
         return new Promise((resolve, reject) => {
             this.db.serialize(() => {
                 // Ensures operations are sequential
                 this.db.run('BEGIN TRANSACTION;');
                 const stmt = this.db.prepare(`
                     INSERT OR IGNORE INTO transfers (
-                        blockNumber, logIndex, transactionHash, fromAddress, toAddress, tokenId
-                    ) VALUES (?, ?, ?, ?, ?, ?)
+                        contractAddress, blockNumber, logIndex, transactionHash, fromAddress, toAddress, tokenId
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?)
                 `);
+                // keep token_owners current in the same transaction
+                const ownerStmt = this.db.prepare(OWNER_UPSERT_SQL);
                 for (const event of events) {
                     // console.log(event);
                     let result = stmt.run(
+                        event.address.toLowerCase(),
                         event.blockNumber,
                         event.index,
                         event.transactionHash,
@@ -96,18 +718,38 @@ class EventCacheDB {
                         event.args[1],
                         event.args[2].toString()
                     );
+                    ownerStmt.run(
+                        event.address.toLowerCase(),
+                        event.args[2].toString(),
+                        event.args[1],
+                        event.blockNumber,
+                        event.index
+                    );
+                }
+
+                // a backfill below a stored holder snapshot makes that snapshot stale
+                const lowestBlocks = new Map();
+                for (const event of events) {
+                    const address = event.address.toLowerCase();
+                    lowestBlocks.set(address, Math.min(lowestBlocks.get(address) ?? Infinity, event.blockNumber));
                 }
+                for (const [address, blockNumber] of lowestBlocks) {
+                    this.db.run('DELETE FROM holder_snapshot_owners WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+                    this.db.run('DELETE FROM holder_snapshots WHERE contractAddress = ? AND blockNumber >= ?;', [address, blockNumber]);
+                }
+
+                ownerStmt.finalize();
                 stmt.finalize((err) => {
                     // Finalize statement
                     // console.log('Finalizing statement...');
                     if (err) {
                         this.db.run('ROLLBACK;');
-                        console.error('Error inserting events:', err.message);
+                        logger.error(`Error inserting events: ${err.message}`);
                         reject(err);
                     } else {
                         this.db.run('COMMIT;', (commitErr) => {
                             if (commitErr) {
-                                console.error('Error committing transaction:', commitErr.message);
+                                logger.error(`Error committing transaction: ${commitErr.message}`);
                                 reject(commitErr);
                             } else {
                                 // console.log('Transaction committed successfully.');
@@ -120,21 +762,83 @@ class EventCacheDB {
         });
     }
 
-    // Get events within a block range
-    async getEventsByBlockRange(fromBlock, toBlock) {
+    // Merge a checked bundle (see bundle.js) in one transaction: transfers already cached are kept, the
+    // bundle's block range is marked synced and its holder snapshots are added for blocks that have none
+    async importBundle(manifest, transfers, snapshots) {
+        const address = manifest.contractAddress.toLowerCase();
+        await this.ready;
+        await this.run('BEGIN TRANSACTION;');
+        try {
+            await this.run(
+                'INSERT OR IGNORE INTO collections (address, deploymentBlock) VALUES (?, ?);',
+                [address, manifest.deploymentBlock]
+            );
+
+            let importedTransfers = 0;
+            let lowestImportedBlock = Infinity;
+            for (const transfer of transfers) {
+                const { changes } = await this.run(
+                    `INSERT OR IGNORE INTO transfers (
+                        contractAddress, blockNumber, logIndex, transactionHash, fromAddress, toAddress, tokenId
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?);`,
+                    [address, transfer.blockNumber, transfer.logIndex, transfer.transactionHash, transfer.from, transfer.to, transfer.tokenId]
+                );
+                if (changes > 0) {
+                    importedTransfers++;
+                    lowestImportedBlock = Math.min(lowestImportedBlock, transfer.blockNumber);
+                    await this.run(OWNER_UPSERT_SQL, [address, transfer.tokenId, transfer.to, transfer.blockNumber, transfer.logIndex]);
+                }
+            }
+            // local snapshots above transfers that were missing until now no longer match the cache
+            if (importedTransfers > 0) {
+                await this.deleteHolderSnapshotsFrom(address, lowestImportedBlock);
+            }
+            await this.mergeSyncedRange(address, manifest.fromBlock, manifest.toBlock);
+
+            let importedSnapshots = 0;
+            for (const snapshot of snapshots) {
+                const { changes } = await this.run(
+                    'INSERT OR IGNORE INTO holder_snapshots (contractAddress, blockNumber, createdAt) VALUES (?, ?, ?);',
+                    [address, snapshot.blockNumber, snapshot.createdAt]
+                );
+                if (changes === 0) {
+                    continue;
+                }
+                importedSnapshots++;
+                await new Promise((resolve, reject) => {
+                    const stmt = this.db.prepare(
+                        'INSERT INTO holder_snapshot_owners (contractAddress, blockNumber, tokenId, owner) VALUES (?, ?, ?, ?);'
+                    );
+                    for (const [tokenId, owner] of snapshot.owners) {
+                        stmt.run(address, snapshot.blockNumber, tokenId, owner);
+                    }
+                    stmt.finalize((err) => (err ? reject(err) : resolve()));
+                });
+            }
+            await this.run('COMMIT;');
+            return { transfers: importedTransfers, holderSnapshots: importedSnapshots };
+        } catch (err) {
+            await this.run('ROLLBACK;');
+            throw err;
+        }
+    }
+
+    // Get a collection's events within a block range
+    async getEventsByBlockRange(contractAddress, fromBlock, toBlock) {
+        await this.ready;
         return new Promise((resolve, reject) => {
             const sql = `
                 SELECT blockNumber, logIndex, transactionHash, fromAddress, toAddress, tokenId
                 FROM transfers
-                WHERE blockNumber >= ? AND blockNumber <= ?
+                WHERE contractAddress = ? AND blockNumber >= ? AND blockNumber <= ?
                 ORDER BY blockNumber ASC, logIndex ASC;
             `;
             // Use all for SELECT with multiple rows
-            this.db.all(sql, [fromBlock, toBlock], (err, rows) => {
+            this.db.all(sql, [contractAddress.toLowerCase(), fromBlock, toBlock], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    console.log(`Received ${rows.length} logs`);
+                    logger.debug(`Read ${rows.length} cached logs`);
                     // Reconstruct a format similar to ethers.js event.args
                     const formattedRows = rows.map((row) => ({
                         blockNumber: row.blockNumber,
@@ -153,11 +857,12 @@ class EventCacheDB {
         });
     }
 
-    // Get the highest block number currently in the cache
-    async GetHighestCachedBlock() {
+    // Get the highest block number currently in the cache for a collection
+    async GetHighestCachedBlock(contractAddress) {
+        await this.ready;
         return new Promise((resolve, reject) => {
-            const sql = `SELECT MAX(blockNumber) as maxBlock FROM transfers;`;
-            this.db.get(sql, [], (err, row) => {
+            const sql = `SELECT MAX(blockNumber) as maxBlock FROM transfers WHERE contractAddress = ?;`;
+            this.db.get(sql, [contractAddress.toLowerCase()], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -169,13 +874,17 @@ class EventCacheDB {
 
     // Close the database connection (important when your app shuts down)
     close() {
-        this.db.close((err) => {
-            if (err) {
-                console.error('Error closing SQLite database:', err.message);
-            } else {
-                console.log('SQLite database connection closed.');
-            }
-        });
+        // let schema setup finish first, closing mid-migration would leave the transaction open
+        return this.ready.catch(() => {}).then(() => new Promise((resolve) => {
+            this.db.close((err) => {
+                if (err) {
+                    logger.error(`Error closing SQLite database: ${err.message}`);
+                } else {
+                    logger.debug('SQLite database connection closed.');
+                }
+                resolve();
+            });
+        }));
     }
 }
 
@@ -0,0 +1,166 @@
+// enrich.js
+const { ethers } = require('ethers');
+const { compareTokenIds } = require('./report');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const WETH_ADDRESS = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+
+// marketplace contracts on mainnet by lowercase address, a sale is attributed to the first one the
+// transaction calls directly or, for aggregators and routers, the first one emitting a log in it
+const MARKETPLACES = new Map([
+    ['0x7be8076f4ea4a4ad08075c2508e481d6c946d12b', 'OpenSea (Wyvern v1)'],
+    ['0x7f268357a8c2552623316e2562d90e642bb538e5', 'OpenSea (Wyvern v2)'],
+    ['0x00000000006c3852cbef3e08e8df289169ede581', 'OpenSea (Seaport 1.1)'],
+    ['0x00000000000001ad428e4906ae43d8f9852d0dd6', 'OpenSea (Seaport 1.4)'],
+    ['0x00000000000000adc04c56bf30ac9d3c0aaf14dc', 'OpenSea (Seaport 1.5)'],
+    ['0x0000000000000068f116a894984e2db1123eb395', 'OpenSea (Seaport 1.6)'],
+    ['0x59728544b08ab483533076417fbbb2fd0b17ce3a', 'LooksRare'],
+    ['0x0000000000e655fae4d56241588680f86e3b2377', 'LooksRare v2'],
+    ['0x74312363e45dcaba76c59ec49a7aa8a65a67eed3', 'X2Y2'],
+    ['0x000000000000ad05ccc4f10045630fb830b95127', 'Blur'],
+    ['0xb2ecfe4e4d61f8790bbb9de2d1259b9e2410cea5', 'Blur v2'],
+    ['0x29469395eaf6f95920e59f858042f0e28d98a20b', 'Blur (Blend)'],
+    ['0x9757f2d2b135150bbeb65308d4a91804107cd8d6', 'Rarible'],
+]);
+
+function topicAddress(topic) {
+    return ethers.getAddress(ethers.dataSlice(topic, 12));
+}
+
+function detectMarketplace(transaction, receipt) {
+    const called = transaction.to && MARKETPLACES.get(transaction.to.toLowerCase());
+    if (called) {
+        return called;
+    }
+    for (const log of receipt.logs) {
+        const emitter = MARKETPLACES.get(log.address.toLowerCase());
+        if (emitter) {
+            return emitter;
+        }
+    }
+    return null;
+}
+
+/**
+ * Classifies the collection's transfers of one transaction as mint, burn, sale or transfer.
+ * The ETH the transaction sent is credited once: to the sender when it received NFTs itself (buying directly
+ * or through an aggregator), otherwise, when a marketplace was involved, split over every NFT any wallet
+ * received. WETH is counted from WETH Transfer logs paid by the receiving wallet, which is how accepted offers
+ * settle. What a buyer paid is split equally over every ERC-721 token it received in the transaction, of this
+ * collection or any other, so a sweep across collections only counts this collection's share. ERC-1155 items
+ * bought in the same sweep are not counted and inflate the share.
+ * @param {object[]} transfers The transaction's cached transfers of the collection (from, to, blockNumber, logIndex).
+ * @param {ethers.TransactionResponse} transaction
+ * @param {ethers.TransactionReceipt} receipt
+ * @returns {object[]} blockNumber, logIndex, kind, ethWei, wethWei (bigint) and marketplace per transfer.
+ */
+function classifyTransfers(transfers, transaction, receipt) {
+    const marketplace = detectMarketplace(transaction, receipt);
+
+    // ERC-721 tokens of any collection each wallet received in this transaction, to split what it paid. their
+    // Transfer has the token id as a third indexed topic, an ERC-20 Transfer carries the amount as data
+    const receivedCount = new Map();
+    for (const log of receipt.logs) {
+        if (log.topics[0] === TRANSFER_TOPIC && log.topics.length === 4) {
+            const to = topicAddress(log.topics[2]);
+            receivedCount.set(to, (receivedCount.get(to) || 0) + 1);
+        }
+    }
+
+    // WETH paid by every wallet in this transaction
+    const wethPaid = new Map();
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() === WETH_ADDRESS && log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3) {
+            const from = topicAddress(log.topics[1]);
+            wethPaid.set(from, (wethPaid.get(from) || 0n) + ethers.toBigInt(log.data));
+        }
+    }
+
+    // the ETH sent pays for the sender's own NFTs when it received any. a marketplace order filled for other
+    // wallets pays for everything they received, so the value is split over all of it rather than per wallet
+    const sender = transaction.from;
+    const totalReceived = [...receivedCount.values()].reduce((sum, count) => sum + count, 0);
+    function ethShare(to) {
+        if (receivedCount.has(sender)) {
+            return to === sender ? transaction.value / BigInt(receivedCount.get(sender)) : 0n;
+        }
+        return marketplace !== null ? transaction.value / BigInt(totalReceived || 1) : 0n;
+    }
+
+    return transfers.map((transfer) => {
+        const ethWei = ethShare(transfer.to);
+        const wethWei = (wethPaid.get(transfer.to) || 0n) / BigInt(receivedCount.get(transfer.to) || 1);
+
+        let kind = 'transfer';
+        if (transfer.from === ethers.ZeroAddress) {
+            kind = 'mint';
+        } else if (transfer.to === ethers.ZeroAddress) {
+            kind = 'burn';
+        } else if (ethWei + wethWei > 0n) {
+            kind = 'sale';
+        }
+        return { blockNumber: transfer.blockNumber, logIndex: transfer.logIndex, kind, ethWei, wethWei, marketplace };
+    });
+}
+
+function salePrice(sale) {
+    return BigInt(sale.ethWei) + BigInt(sale.wethWei);
+}
+
+// the newest sale of every token among sales in chain order, in token id order
+function lastSales(sales) {
+    const byToken = new Map();
+    for (const sale of sales) {
+        byToken.set(sale.tokenId, sale);
+    }
+    return Array.from(byToken.values())
+        .sort((a, b) => compareTokenIds(a.tokenId, b.tokenId))
+        .map((sale) => ({ ...sale, priceEth: ethers.formatEther(salePrice(sale)) }));
+}
+
+// sale count and volume in total and per marketplace
+function summarizeVolume(sales) {
+    const totals = { saleCount: 0, ethWei: 0n, wethWei: 0n };
+    const byMarketplace = new Map();
+    let highest = null;
+    for (const sale of sales) {
+        const name = sale.marketplace || 'unknown';
+        if (!byMarketplace.has(name)) {
+            byMarketplace.set(name, { saleCount: 0, volumeWei: 0n });
+        }
+        const marketplace = byMarketplace.get(name);
+        const price = salePrice(sale);
+
+        totals.saleCount++;
+        totals.ethWei += BigInt(sale.ethWei);
+        totals.wethWei += BigInt(sale.wethWei);
+        marketplace.saleCount++;
+        marketplace.volumeWei += price;
+        if (!highest || price > salePrice(highest)) {
+            highest = sale;
+        }
+    }
+
+    const volumeWei = totals.ethWei + totals.wethWei;
+    return {
+        saleCount: totals.saleCount,
+        volumeEth: ethers.formatEther(volumeWei),
+        ethVolumeEth: ethers.formatEther(totals.ethWei),
+        wethVolumeEth: ethers.formatEther(totals.wethWei),
+        averagePriceEth: ethers.formatEther(totals.saleCount > 0 ? volumeWei / BigInt(totals.saleCount) : 0n),
+        highestSale: highest && { tokenId: highest.tokenId, blockNumber: highest.blockNumber, transactionHash: highest.transactionHash, priceEth: ethers.formatEther(salePrice(highest)) },
+        byMarketplace: Array.from(byMarketplace, ([name, marketplace]) => ({
+            marketplace: name,
+            saleCount: marketplace.saleCount,
+            volumeEth: ethers.formatEther(marketplace.volumeWei),
+        })).sort((a, b) => b.saleCount - a.saleCount),
+    };
+}
+
+module.exports = {
+    WETH_ADDRESS,
+    MARKETPLACES,
+    classifyTransfers,
+    lastSales,
+    summarizeVolume,
+};
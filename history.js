@@ -0,0 +1,95 @@
+// history.js
+const { ethers } = require('ethers');
+const { compareTokenIds } = require('./report');
+
+function transferKind(transfer) {
+    if (transfer.from === ethers.ZeroAddress) {
+        return 'mint';
+    }
+    if (transfer.to === ethers.ZeroAddress) {
+        return 'burn';
+    }
+    return 'transfer';
+}
+
+function pointInTime(transfer, counterparty) {
+    return {
+        blockNumber: transfer.blockNumber,
+        timestamp: transfer.timestamp,
+        transactionHash: transfer.transactionHash,
+        counterparty,
+    };
+}
+
+/**
+ * Pairs every token a wallet received with the transfer that sent it away again.
+ * @param {object[]} transfers Transfers to or from the wallet in chain order, as from getWalletTransfers.
+ * @param {string} wallet Checksummed address.
+ * @returns {object[]} One period per stay of a token, ordered by acquisition: tokenId, acquired and released
+ *   (blockNumber, timestamp, transactionHash, counterparty; released is null while still held) and
+ *   heldSeconds (up to now for tokens still held). acquired is null when the wallet sent a token the
+ *   cache never saw it receive.
+ */
+function buildHoldingPeriods(transfers, wallet, now = Math.floor(Date.now() / 1000)) {
+    const open = new Map();
+    const periods = [];
+    for (const transfer of transfers) {
+        // sending a token to yourself changes nothing
+        if (transfer.from === wallet && transfer.to === wallet) {
+            continue;
+        }
+
+        if (transfer.to === wallet) {
+            const period = { tokenId: transfer.tokenId, acquired: pointInTime(transfer, transfer.from), released: null, heldSeconds: null };
+            open.set(transfer.tokenId, period);
+            periods.push(period);
+        } else {
+            let period = open.get(transfer.tokenId);
+            if (!period) {
+                period = { tokenId: transfer.tokenId, acquired: null, released: null, heldSeconds: null };
+                periods.push(period);
+            }
+            period.released = pointInTime(transfer, transfer.to);
+            open.delete(transfer.tokenId);
+        }
+    }
+
+    for (const period of periods) {
+        const start = period.acquired && period.acquired.timestamp;
+        const end = period.released ? period.released.timestamp : now;
+        if (start != null && end != null) {
+            period.heldSeconds = end - start;
+        }
+    }
+    return periods;
+}
+
+// tokens a wallet holds at the end of its history, in token id order
+function currentlyHeld(periods) {
+    return periods.filter((period) => period.acquired && !period.released).map((period) => period.tokenId).sort(compareTokenIds);
+}
+
+function formatDuration(seconds) {
+    if (seconds == null) {
+        return 'unknown duration';
+    }
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) {
+        return `${days}d ${hours}h`;
+    }
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function formatTimestamp(timestamp) {
+    return timestamp == null ? 'unknown time' : new Date(timestamp * 1000).toISOString();
+}
+
+module.exports = {
+    transferKind,
+    buildHoldingPeriods,
+    currentlyHeld,
+    formatDuration,
+    formatTimestamp,
+};
@@ -0,0 +1,220 @@
+// log.js
+
+// quiet keeps warnings and errors, info adds progress messages, debug adds a line per request and chunk
+const LOG_LEVELS = ['quiet', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+const SEVERITY = { debug: 0, info: 1, warn: 2, error: 3 };
+const THRESHOLD = { debug: 0, info: 1, quiet: 2 };
+
+const BAR_WIDTH = 24;
+const REDRAW_INTERVAL_MS = 100;
+
+// 950ms -> 0.9s, 75s -> 1m15s, 4000s -> 1h06m
+function formatElapsed(ms) {
+    const seconds = ms / 1000;
+    if (seconds < 60) {
+        return `${(Math.floor(seconds * 10) / 10).toFixed(1)}s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        return `${minutes}m${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+    }
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// one phase of work with a known amount of it, drawn as the progress bar while it is the latest one started
+class Progress {
+    constructor(logger, phase, total, unit) {
+        this.logger = logger;
+        this.phase = phase;
+        this.total = total;
+        this.unit = unit;
+        this.done = 0;
+        this.started = Date.now();
+    }
+
+    tick(count = 1) {
+        this.done += count;
+        this.logger.redraw();
+    }
+
+    // time left at the rate so far, null until there is a rate to go by
+    etaMs() {
+        if (this.done <= 0 || this.done >= this.total) {
+            return null;
+        }
+        return ((Date.now() - this.started) / this.done) * (this.total - this.done);
+    }
+
+    describe() {
+        const ratio = this.total > 0 ? Math.min(1, this.done / this.total) : 1;
+        const filled = Math.round(ratio * BAR_WIDTH);
+        const eta = this.etaMs();
+        return `${this.phase} [${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${(ratio * 100).toFixed(1)}% `
+            + `${this.done}/${this.total} ${this.unit}, ETA ${eta === null ? '--' : formatElapsed(eta)}`;
+    }
+
+    finish() {
+        this.logger.endProgress(this);
+        this.logger.debug(`${this.phase}: ${this.done} ${this.unit} in ${formatElapsed(Date.now() - this.started)}`, {
+            phase: this.phase,
+            done: this.done,
+            total: this.total,
+        });
+    }
+}
+
+/**
+ * Diagnostics of a run, on stderr so stdout only carries command results. Besides leveled messages it
+ * keeps the progress bar of the current phase on a TTY, counters such as RPC calls and retries, and the
+ * time spent per phase, which summary() reports at the end of a run.
+ */
+class Logger {
+    constructor() {
+        this.configure();
+        this.reset();
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {'quiet'|'info'|'debug'} [options.level] Least severe messages shown (default: info).
+     * @param {'text'|'json'} [options.format] json writes every message as one JSON object per line (default: text).
+     * @param {NodeJS.WriteStream} [options.stream] Where the progress bar is drawn, only if it is a TTY (default: stderr).
+     */
+    configure({ level = 'info', format = 'text', stream = process.stderr } = {}) {
+        this.level = level;
+        this.format = format;
+        this.stream = stream;
+        this.showBar = format === 'text' && level !== 'quiet' && Boolean(stream.isTTY);
+    }
+
+    reset() {
+        this.started = Date.now();
+        this.counters = new Map();
+        this.phases = new Map();
+        this.progressBar = null;
+        this.barDrawn = false;
+        this.lastDraw = 0;
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(severity, message, fields = {}) {
+        if (SEVERITY[severity] < THRESHOLD[this.level]) {
+            return;
+        }
+        if (this.format === 'json') {
+            console.error(JSON.stringify({ time: new Date().toISOString(), level: severity, message, ...fields }));
+            return;
+        }
+        // the message goes above the bar, which is drawn again below it
+        this.clearBar();
+        console.error(message);
+        this.redraw(true);
+    }
+
+    count(name, amount = 1) {
+        this.counters.set(name, (this.counters.get(name) || 0) + amount);
+    }
+
+    // runs fn as a phase, its time adds up with earlier runs of the same phase
+    async phase(name, fn) {
+        const started = Date.now();
+        try {
+            return await fn();
+        } finally {
+            this.phases.set(name, (this.phases.get(name) || 0) + Date.now() - started);
+        }
+    }
+
+    // starts the progress of a phase, the caller ticks it and calls finish() when it is done
+    progress(phase, total, unit) {
+        this.clearBar();
+        this.progressBar = new Progress(this, phase, total, unit);
+        this.redraw(true);
+        return this.progressBar;
+    }
+
+    endProgress(progress) {
+        if (this.progressBar === progress) {
+            this.clearBar();
+            this.progressBar = null;
+        }
+    }
+
+    redraw(force = false) {
+        if (!this.showBar || !this.progressBar || (!force && Date.now() - this.lastDraw < REDRAW_INTERVAL_MS)) {
+            return;
+        }
+        this.lastDraw = Date.now();
+        const line = this.progressBar.describe().slice(0, Math.max(0, (this.stream.columns || 80) - 1));
+        this.stream.write(`\r\x1b[2K${line}`);
+        this.barDrawn = true;
+    }
+
+    clearBar() {
+        if (this.barDrawn) {
+            this.stream.write('\r\x1b[2K');
+            this.barDrawn = false;
+        }
+    }
+
+    // counters and phase times of the run so far
+    getSummary() {
+        return {
+            elapsedMs: Date.now() - this.started,
+            rpcRequests: this.counters.get('rpcRequests') || 0,
+            rpcCalls: this.counters.get('rpcCalls') || 0,
+            retries: this.counters.get('retries') || 0,
+            chunkSizeChanges: this.counters.get('chunkSizeChanges') || 0,
+            phases: Object.fromEntries(this.phases),
+        };
+    }
+
+    // the end-of-run report, left out for runs that did no phase of work and made no RPC call
+    summary() {
+        if (this.progressBar) {
+            this.endProgress(this.progressBar);
+        }
+        const summary = this.getSummary();
+        if (this.phases.size === 0 && summary.rpcRequests === 0) {
+            return;
+        }
+        if (this.format === 'json') {
+            this.info('run summary', summary);
+            return;
+        }
+        const phases = [...this.phases].map(([name, ms]) => `${name} ${formatElapsed(ms)}`).join(', ');
+        this.info([
+            `Run summary (${formatElapsed(summary.elapsedMs)}):`,
+            `  RPC: ${summary.rpcRequests} requests carrying ${summary.rpcCalls} calls, ${summary.retries} retries`,
+            `  chunk size changes: ${summary.chunkSizeChanges}`,
+            `  phases: ${phases || 'none'}`,
+        ].join('\n'));
+    }
+}
+
+// shared by every module, main() configures it from the command line
+const logger = new Logger();
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    Logger,
+    logger,
+    formatElapsed,
+};
@@ -0,0 +1,338 @@
+// providers.js
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const RateLimiter = require('./ratelimit');
+const { isRateLimitError, isTransientError } = RateLimiter;
+const { UsageError } = require('./cli');
+const { logger } = require('./log');
+
+const DEFAULT_REQUESTS_PER_SECOND = 25;
+const REQUEST_TIMEOUT_MS = 30000;
+const PROBE_RETRIES = 3;
+
+// methods whose answer depends on historical state when asked about an older block
+const STATE_METHODS = new Set(['eth_getBalance', 'eth_call', 'eth_getCode', 'eth_getStorageAt', 'eth_getTransactionCount']);
+const NAMED_BLOCK_TAGS = new Set(['latest', 'pending', 'safe', 'finalized']);
+
+// JSON-RPC errors that are about the endpoint rather than the request, another endpoint may well succeed
+const FAILOVER_ERROR = /query returned more than|limit exceeded|rate limit|too many requests|capacity|timeout|header not found|missing trie node|unknown block|internal error/i;
+// errors non-archive nodes give for state they have pruned
+const ARCHIVE_ERROR = /missing trie node|header not found|unknown block|state .*not available|historical state/i;
+
+/**
+ * Reads the RPC endpoints from, in order of precedence: --rpc flags, a JSON config file (--rpc-config or
+ * RPC_CONFIG) or the comma-separated RPC_URLS variable. The config file looks like
+ * `{ "endpoints": [{ "url": "https://...", "requestsPerSecond": 10, "burst": 20, "maxConcurrency": 5, "archive": true }] }`.
+ * @returns {{url: string, requestsPerSecond: number, burst: number|undefined, maxConcurrency: number|undefined, archive: boolean|undefined}[]}
+ */
+function loadEndpoints({ rpc = [], rpcConfig } = {}, env = process.env) {
+    const defaultRate = env.RPC_RATE_LIMIT !== undefined ? Number(env.RPC_RATE_LIMIT) : DEFAULT_REQUESTS_PER_SECOND;
+    if (!(defaultRate > 0)) {
+        throw new UsageError(`Invalid RPC_RATE_LIMIT "${env.RPC_RATE_LIMIT}", expected a positive number`);
+    }
+
+    let endpoints;
+    const configPath = rpcConfig || env.RPC_CONFIG;
+    if (rpc.length > 0) {
+        endpoints = rpc.map((url) => ({ url }));
+    } else if (configPath) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Could not read RPC config ${configPath}: ${error.message}`);
+        }
+        if (!Array.isArray(config.endpoints)) {
+            throw new UsageError(`RPC config ${configPath} has no "endpoints" array`);
+        }
+        endpoints = config.endpoints.map((endpoint) => (typeof endpoint === 'string' ? { url: endpoint } : endpoint));
+    } else if (env.RPC_URLS) {
+        endpoints = env.RPC_URLS.split(',').map((url) => url.trim()).filter(Boolean).map((url) => ({ url }));
+    } else {
+        endpoints = [];
+    }
+
+    if (endpoints.length === 0) {
+        throw new UsageError('No RPC endpoints configured, set RPC_URLS in .env (see .env.example) or pass --rpc <url>');
+    }
+
+    return endpoints.map((endpoint) => {
+        if (typeof endpoint.url !== 'string' || !/^https?:\/\//.test(endpoint.url)) {
+            throw new UsageError(`Invalid RPC endpoint URL "${endpoint.url}"`);
+        }
+        const requestsPerSecond = endpoint.requestsPerSecond !== undefined ? Number(endpoint.requestsPerSecond) : defaultRate;
+        if (!(requestsPerSecond > 0)) {
+            throw new UsageError(`Invalid requestsPerSecond for ${endpoint.url}`);
+        }
+        for (const key of ['burst', 'maxConcurrency']) {
+            if (endpoint[key] !== undefined && !(Number.isInteger(endpoint[key]) && endpoint[key] > 0)) {
+                throw new UsageError(`Invalid ${key} for ${endpoint.url}, expected a positive integer`);
+            }
+        }
+        return { url: endpoint.url, requestsPerSecond, burst: endpoint.burst, maxConcurrency: endpoint.maxConcurrency, archive: endpoint.archive };
+    });
+}
+
+// endpoint URLs usually embed an API key in the path, logs only get the origin
+function redactUrl(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return '<invalid url>';
+    }
+}
+
+async function postJson(url, payload) {
+    const request = new ethers.FetchRequest(url);
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    request.timeout = REQUEST_TIMEOUT_MS;
+    // surface 429s to the pool instead of letting FetchRequest retry them on the same endpoint
+    request.setThrottleParams({ maxAttempts: 1 });
+
+    logger.count('rpcRequests');
+    logger.count('rpcCalls', Array.isArray(payload) ? payload.length : 1);
+    logger.debug(`RPC ${Array.isArray(payload) ? `batch of ${payload.length}` : payload.method} to ${redactUrl(url)}`);
+    const response = await request.send();
+    response.assertOk();
+    let body = response.bodyJson;
+    if (!Array.isArray(body)) {
+        body = [body];
+    }
+    return body;
+}
+
+function needsArchive(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.some((request) => {
+        if (!STATE_METHODS.has(request.method)) {
+            return false;
+        }
+        const blockTag = request.params[request.params.length - 1];
+        return typeof blockTag === 'string' && !NAMED_BLOCK_TAGS.has(blockTag);
+    });
+}
+
+/**
+ * An ethers provider spreading requests over several JSON-RPC endpoints. Every endpoint has its own rate
+ * limit; requests rotate between healthy endpoints and move on to the next one when an endpoint fails,
+ * is throttled or hits a response size limit. Endpoints failing repeatedly sit out a cooldown.
+ * Requests for historical state go to archive-capable endpoints first.
+ */
+class ProviderPool extends ethers.JsonRpcApiProvider {
+    constructor(endpoints, { failureThreshold = 3, cooldownMs = 30000, maxRounds = 3 } = {}) {
+        // balances.js builds its own batches, ethers must not merge other calls into batches of its own
+        super(undefined, { batchMaxCount: 1 });
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.maxRounds = maxRounds;
+        this.nextIndex = 0;
+        this.healthCheckTimer = null;
+        this.endpoints = endpoints.map((endpoint) => ({
+            url: endpoint.url,
+            label: redactUrl(endpoint.url),
+            requestsPerSecond: endpoint.requestsPerSecond,
+            // no retries here, a failing request moves on to the next endpoint instead
+            rateLimiter: new RateLimiter(endpoint.requestsPerSecond, { burst: endpoint.burst, maxConcurrency: endpoint.maxConcurrency, maxRetries: 0 }),
+            archive: endpoint.archive,
+            disabled: false,
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            requests: 0,
+            failures: 0,
+            lastError: null,
+        }));
+    }
+
+    get totalRequestsPerSecond() {
+        return this.endpoints.reduce((sum, endpoint) => sum + endpoint.requestsPerSecond, 0);
+    }
+
+    get totalConcurrency() {
+        return this.endpoints.reduce((sum, endpoint) => sum + endpoint.rateLimiter.maxConcurrency, 0);
+    }
+
+    // healthy endpoints in rotation order, cooling-down ones are only kept as a last resort
+    pickEndpoints(archive) {
+        const now = Date.now();
+        const start = this.nextIndex++ % this.endpoints.length;
+        const rotated = [...this.endpoints.slice(start), ...this.endpoints.slice(0, start)].filter((endpoint) => !endpoint.disabled);
+
+        const rank = (endpoint) => {
+            let score = endpoint.cooldownUntil > now ? 2 : 0;
+            if (archive && endpoint.archive !== true) {
+                score += endpoint.archive === false ? 1.5 : 0.5;
+            }
+            return score;
+        };
+        return rotated.sort((a, b) => rank(a) - rank(b));
+    }
+
+    recordSuccess(endpoint) {
+        endpoint.consecutiveFailures = 0;
+        endpoint.cooldownUntil = 0;
+    }
+
+    recordFailure(endpoint, message) {
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.lastError = message;
+        // requests already in flight keep failing after the threshold, only start the cooldown once
+        if (endpoint.consecutiveFailures >= this.failureThreshold && endpoint.cooldownUntil <= Date.now()) {
+            endpoint.cooldownUntil = Date.now() + this.cooldownMs;
+            logger.warn(`RPC endpoint ${endpoint.label} failed ${endpoint.consecutiveFailures} times in a row, cooling down for ${this.cooldownMs / 1000}s`);
+        }
+    }
+
+    async _send(payload) {
+        const archive = needsArchive(payload);
+        // a round failing everywhere because of throttling or network trouble is tried again, the endpoint
+        // rate limiters hold the next round back until their backoff is over
+        for (let round = 1; ; round++) {
+            try {
+                const response = await this.sendToEndpoints(payload, archive);
+                const throttled = response.some((item) => item.error && isRateLimitError(item.error));
+                if (!throttled || round >= this.maxRounds) {
+                    return response;
+                }
+            } catch (error) {
+                if (round >= this.maxRounds || !(isRateLimitError(error) || isTransientError(error))) {
+                    throw error;
+                }
+            }
+            logger.count('retries');
+            logger.warn(`Every RPC endpoint failed, trying again (round ${round + 1} of ${this.maxRounds})`);
+        }
+    }
+
+    async sendToEndpoints(payload, archive) {
+        const candidates = this.pickEndpoints(archive);
+        if (candidates.length === 0) {
+            throw new Error('All RPC endpoints are disabled');
+        }
+
+        let lastError = null;
+        let lastResponse = null;
+        for (const [index, endpoint] of candidates.entries()) {
+            endpoint.requests++;
+            try {
+                const response = await endpoint.rateLimiter.add(() => postJson(endpoint.url, payload));
+                const failed = response.find((item) => item.error && FAILOVER_ERROR.test(item.error.message || ''));
+                if (!failed) {
+                    this.recordSuccess(endpoint);
+                    return response;
+                }
+
+                lastResponse = response;
+                if (isRateLimitError(failed.error)) {
+                    endpoint.rateLimiter.backOff();
+                }
+                if (archive && ARCHIVE_ERROR.test(failed.error.message)) {
+                    endpoint.archive = false;
+                }
+                // response size limits are a property of the endpoint, not a sign it is unhealthy
+                if (!/query returned more than|limit exceeded/i.test(failed.error.message)) {
+                    this.recordFailure(endpoint, failed.error.message);
+                }
+            } catch (error) {
+                lastError = error;
+                this.recordFailure(endpoint, error.message);
+            }
+            if (index < candidates.length - 1) {
+                logger.warn(`RPC endpoint ${endpoint.label} failed (${endpoint.lastError || 'limit reached'}), trying the next one`);
+            }
+        }
+
+        // every endpoint failed: hand ethers the last JSON-RPC error so callers see it, e.g. to shrink log ranges
+        if (lastResponse) {
+            return lastResponse;
+        }
+        throw lastError;
+    }
+
+    /**
+     * Probes every endpoint for chain id, head block and archive capability.
+     * Endpoints serving a different chain than the first healthy one are disabled.
+     */
+    async checkHealth() {
+        const results = await Promise.all(this.endpoints.map(async (endpoint) => {
+            // unlike regular requests, probes have nowhere to fail over to, so throttled ones are retried
+            const probe = (method, params) => endpoint.rateLimiter.add(() => postJson(endpoint.url, { jsonrpc: '2.0', id: 1, method, params }), { maxRetries: PROBE_RETRIES });
+            const started = Date.now();
+            try {
+                const [chainId, blockNumber] = await Promise.all([probe('eth_chainId', []), probe('eth_blockNumber', [])]);
+                if (chainId[0].error || blockNumber[0].error) {
+                    throw new Error((chainId[0].error || blockNumber[0].error).message);
+                }
+
+                // state at block 1 has long been pruned everywhere except on archive nodes
+                const [balance] = await probe('eth_getBalance', [ethers.ZeroAddress, '0x1']);
+                endpoint.archive = !balance.error;
+
+                this.recordSuccess(endpoint);
+                return { endpoint, chainId: BigInt(chainId[0].result), blockNumber: Number(blockNumber[0].result), latencyMs: Date.now() - started };
+            } catch (error) {
+                this.recordFailure(endpoint, error.message);
+                return { endpoint, error: error.message };
+            }
+        }));
+
+        const reference = results.find((result) => !result.error && !result.endpoint.disabled);
+        for (const result of results) {
+            if (reference && !result.error && result.chainId !== reference.chainId) {
+                result.endpoint.disabled = true;
+                result.error = `serves chain ${result.chainId}, expected ${reference.chainId}`;
+                logger.warn(`RPC endpoint ${result.endpoint.label} ${result.error}, disabling it`);
+            }
+        }
+
+        return results.map((result) => ({
+            endpoint: result.endpoint.label,
+            healthy: !result.error,
+            chainId: result.chainId !== undefined ? result.chainId.toString() : null,
+            blockNumber: result.blockNumber ?? null,
+            latencyMs: result.latencyMs ?? null,
+            archive: result.endpoint.archive ?? null,
+            requestsPerSecond: result.endpoint.requestsPerSecond,
+            error: result.error || null,
+        }));
+    }
+
+    // re-check endpoints in the background, for long-running processes
+    startHealthChecks(intervalMs) {
+        this.stopHealthChecks();
+        this.healthCheckTimer = setInterval(() => {
+            this.checkHealth().catch((error) => logger.warn(`RPC health check failed: ${error.message}`));
+        }, intervalMs);
+        this.healthCheckTimer.unref();
+    }
+
+    stopHealthChecks() {
+        if (this.healthCheckTimer) {
+            clearInterval(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+    }
+
+    // historical balances need an archive node, fail early with a clear message when none is configured
+    async ensureArchive() {
+        if (!this.endpoints.some((endpoint) => endpoint.archive === true)) {
+            await this.checkHealth();
+        }
+        if (!this.endpoints.some((endpoint) => endpoint.archive === true && !endpoint.disabled)) {
+            throw new Error('None of the configured RPC endpoints serves historical state, balances at past blocks need an archive node');
+        }
+    }
+
+    destroy() {
+        this.stopHealthChecks();
+        super.destroy();
+    }
+}
+
+module.exports = {
+    DEFAULT_REQUESTS_PER_SECOND,
+    loadEndpoints,
+    ProviderPool,
+};
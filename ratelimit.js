@@ -1,52 +1,271 @@
-// rateLimiter.js (or directly in your main file)
+// ratelimit.js
+const { logger } = require('./log');
+
+// errors that mean the endpoint is throttling us, these also slow down everything else queued
+const RATE_LIMIT_ERROR = /\b429\b|rate.?limit|too many requests|exceeded .*(capacity|quota)|compute units/i;
+// errors worth trying again after a pause
+const TRANSIENT_ERROR = /timeout|timed out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|\b50[234]\b|bad gateway|service unavailable|gateway timeout/i;
+const TRANSIENT_CODES = new Set(['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR']);
+
+function isRateLimitError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.status === 429 || (error.response && error.response.statusCode === 429)) {
+        return true;
+    }
+    return RATE_LIMIT_ERROR.test(error.message || '') || isRateLimitError(error.cause);
+}
+
+function isTransientError(error) {
+    if (!error) {
+        return false;
+    }
+    return TRANSIENT_CODES.has(error.code) || TRANSIENT_ERROR.test(error.message || '') || isTransientError(error.cause);
+}
+
+// thrown once a task failed more often than its retry budget allows, the last error is the cause
+class RetryLimitError extends Error {
+    constructor(attempts, cause) {
+        super(`Giving up after ${attempts} attempts: ${cause.message}`, { cause });
+        this.name = 'RetryLimitError';
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Schedules async tasks under a token bucket: tokens refill at requestsPerSecond up to burst, every start
+ * takes one, and at most maxConcurrency tasks run at once. Tasks failing with a rate-limit or transient error
+ * are retried with exponential backoff and jitter; a rate-limit error also pauses the whole queue, longer for
+ * every rate-limit error in a row.
+ */
 class RateLimiter {
-    constructor(requestsPerSecond) {
+    /**
+     * @param {number} requestsPerSecond Sustained task starts per second.
+     * @param {object} [options]
+     * @param {number} [options.burst] Task starts allowed back to back after an idle period (default: one second's worth).
+     * @param {number} [options.maxConcurrency] Tasks running at the same time (default: 10).
+     * @param {number} [options.maxRetries] Retries per task before it fails with a RetryLimitError (default: 5).
+     * @param {number} [options.baseDelayMs] Backoff before the first retry, doubled for every further one (default: 500).
+     * @param {number} [options.maxDelayMs] Upper bound of a single backoff (default: 30000).
+     * @param {Function} [options.isRetryable] Decides which errors besides rate-limit errors are retried.
+     */
+    constructor(requestsPerSecond, options = {}) {
+        if (!(requestsPerSecond > 0)) {
+            throw new Error(`Invalid rate limit ${requestsPerSecond}, expected a positive number of requests per second`);
+        }
+        const {
+            burst = Math.max(1, Math.ceil(requestsPerSecond)),
+            maxConcurrency = 10,
+            maxRetries = 5,
+            baseDelayMs = 500,
+            maxDelayMs = 30000,
+            isRetryable = isTransientError,
+        } = options;
+
         this.interval = 1000 / requestsPerSecond; // Milliseconds per request
+        this.burst = burst;
+        this.maxConcurrency = maxConcurrency;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.isRetryable = isRetryable;
+
+        this.tokens = burst;
+        this.lastRefill = Date.now();
         this.queue = [];
-        this.lastDispatchTime = 0;
+        this.retrying = new Set(); // tasks waiting out their backoff
+        this.inFlight = 0;
+        this.pausedUntil = 0;
+        this.consecutiveRateLimits = 0;
+        this.sequence = 0;
         this.timeoutId = null; // To manage the dispatch loop
+
+        this.completed = 0;
+        this.failed = 0;
+        this.cancelled = 0;
+        this.retries = 0;
+        this.rateLimited = 0;
     }
 
     /**
      * Adds a function to the queue to be executed under rate limit.
-     * @param {Function} fn The async function to execute (e.g., () => provider.getBalance(...)).
-     * @returns {Promise} A promise that resolves with the result of fn, or rejects if fn rejects.
+     * @param {Function} fn The async function to execute (e.g., () => provider.getBalance(...)), called with the signal.
+     * @param {object} [options]
+     * @param {number} [options.priority] Higher priorities start first, equal ones in the order they were added (default: 0).
+     * @param {AbortSignal} [options.signal] Aborting it removes the task from the queue and rejects with the abort reason.
+     * @param {number} [options.maxRetries] Overrides the limiter's retry budget for this task.
+     * @returns {Promise} A promise that resolves with the result of fn, or rejects with its error once retries are used up.
      */
-    add(fn) {
+    add(fn, { priority = 0, signal, maxRetries = this.maxRetries } = {}) {
         return new Promise((resolve, reject) => {
-            this.queue.push({ fn, resolve, reject });
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const task = { fn, resolve, reject, priority, signal, maxRetries, attempts: 0, sequence: this.sequence++, settled: false };
+            if (signal) {
+                task.onAbort = () => this.cancel(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+            this.enqueue(task);
             this.dispatch(); // Try to dispatch immediately
         });
     }
 
+    /**
+     * Pauses dispatching, e.g. when a caller saw a rate-limit response the limiter could not see itself.
+     * Without a delay, the pause grows with every call until a task succeeds again.
+     */
+    backOff(delayMs) {
+        this.consecutiveRateLimits++;
+        const delay = delayMs !== undefined ? delayMs : this.backoffDelay(this.consecutiveRateLimits);
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        this.tokens = 0;
+    }
+
+    // snapshot of the queue for progress reporting
+    getMetrics() {
+        return {
+            queued: this.queue.length,
+            retrying: this.retrying.size,
+            inFlight: this.inFlight,
+            completed: this.completed,
+            failed: this.failed,
+            cancelled: this.cancelled,
+            retries: this.retries,
+            rateLimited: this.rateLimited,
+            pausedMs: Math.max(0, this.pausedUntil - Date.now()),
+        };
+    }
+
+    // exponential backoff with equal jitter: half the delay is fixed, the other half random
+    backoffDelay(attempt) {
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+    }
+
+    // higher priority first, first come first served within a priority (a retried task keeps its place)
+    enqueue(task) {
+        let index = this.queue.findIndex((queued) => queued.priority < task.priority
+            || (queued.priority === task.priority && queued.sequence > task.sequence));
+        if (index === -1) {
+            index = this.queue.length;
+        }
+        this.queue.splice(index, 0, task);
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / this.interval);
+        this.lastRefill = now;
+    }
+
     dispatch() {
         if (this.timeoutId) {
-            return; // Already scheduled for dispatch
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
         }
 
         const now = Date.now();
-        const timeSinceLastDispatch = now - this.lastDispatchTime;
-
-        if (this.queue.length > 0 && timeSinceLastDispatch >= this.interval) {
-            // Dispatch immediately if we have requests and enough time has passed
-            const { fn, resolve, reject } = this.queue.shift();
-            this.lastDispatchTime = now;
-            fn()
-                .then(resolve)
-                .catch(reject)
-                .finally(() => {
-                    this.timeoutId = null; // Clear timeout ID for next dispatch
-                    this.dispatch(); // Try to dispatch the next one
-                });
-        } else if (this.queue.length > 0) {
-            // Schedule the next dispatch
-            const delay = this.interval - timeSinceLastDispatch;
+        this.refill(now);
+        while (this.queue.length > 0 && this.inFlight < this.maxConcurrency && now >= this.pausedUntil && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.run(this.queue.shift());
+        }
+
+        // at the concurrency cap the next finishing task dispatches again, otherwise wait for a token
+        if (this.queue.length > 0 && this.inFlight < this.maxConcurrency) {
+            const delay = Math.max(this.pausedUntil - now, (1 - this.tokens) * this.interval, 0);
             this.timeoutId = setTimeout(() => {
                 this.timeoutId = null;
                 this.dispatch();
-            }, delay);
+            }, Math.ceil(delay));
+        }
+    }
+
+    async run(task) {
+        this.inFlight++;
+        task.attempts++;
+        try {
+            const result = await task.fn(task.signal);
+            if (!task.settled) {
+                this.consecutiveRateLimits = 0;
+                this.completed++;
+                this.settle(task, null, result);
+            }
+        } catch (error) {
+            this.handleFailure(task, error);
+        } finally {
+            this.inFlight--;
+            this.dispatch();
+        }
+    }
+
+    handleFailure(task, error) {
+        if (task.settled) {
+            return;
+        }
+
+        const rateLimited = isRateLimitError(error);
+        if (rateLimited) {
+            this.rateLimited++;
+            this.backOff();
+        }
+        if (!(rateLimited || this.isRetryable(error))) {
+            this.failed++;
+            this.settle(task, error);
+            return;
+        }
+        if (task.attempts > task.maxRetries) {
+            this.failed++;
+            // tasks without a retry budget (e.g. ones failing over elsewhere) get their own error back
+            this.settle(task, task.maxRetries === 0 ? error : new RetryLimitError(task.attempts, error));
+            return;
+        }
+
+        const delay = Math.max(this.backoffDelay(task.attempts), this.pausedUntil - Date.now());
+        logger.info(`Attempt ${task.attempts} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s...`);
+        logger.count('retries');
+        this.retries++;
+        this.retrying.add(task);
+        task.retryTimer = setTimeout(() => {
+            this.retrying.delete(task);
+            this.enqueue(task);
+            this.dispatch();
+        }, delay);
+    }
+
+    // an aborted task leaves the queue right away, a running one is rejected without waiting for it
+    cancel(task) {
+        if (task.settled) {
+            return;
+        }
+        const index = this.queue.indexOf(task);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+        if (this.retrying.delete(task)) {
+            clearTimeout(task.retryTimer);
+        }
+        this.cancelled++;
+        this.settle(task, task.signal.reason);
+    }
+
+    settle(task, error, result) {
+        task.settled = true;
+        if (task.signal) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        if (error) {
+            task.reject(error);
+        } else {
+            task.resolve(result);
         }
     }
 }
 
-module.exports = RateLimiter;
\ No newline at end of file
+module.exports = RateLimiter;
+module.exports.RetryLimitError = RetryLimitError;
+module.exports.isRateLimitError = isRateLimitError;
+module.exports.isTransientError = isTransientError;
@@ -0,0 +1,197 @@
+// report.js
+const path = require('path');
+const { ethers } = require('ethers');
+const { printExcludedHolders } = require('./classify');
+const { summarizeAssets, holderAssets } = require('./assets');
+
+const REPORT_FORMATS = ['json', 'csv', 'ndjson'];
+const DEFAULT_TOP_N = 10;
+
+function compareTokenIds(a, b) {
+    const difference = BigInt(a) - BigInt(b);
+    return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+}
+
+// median of wei amounts, the mean of the two middle values for an even count
+function medianWei(values) {
+    if (values.length === 0) {
+        return 0n;
+    }
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+function holderSummary(holder) {
+    return { address: holder.address, tokenCount: holder.tokenCount, balanceEth: holder.balanceEth };
+}
+
+// token ids of every holder, as a Map of holder -> token ids in ascending order
+function groupTokensByHolder(holderMap) {
+    const tokensByHolder = new Map();
+    for (const [tokenId, holder] of holderMap) {
+        if (!tokensByHolder.has(holder)) {
+            tokensByHolder.set(holder, []);
+        }
+        tokensByHolder.get(holder).push(tokenId);
+    }
+    for (const tokenIds of tokensByHolder.values()) {
+        tokenIds.sort(compareTokenIds);
+    }
+    return tokensByHolder;
+}
+
+/**
+ * Builds the per-holder report of a collection at a block.
+ * @param {Map<string, string>} holderMap tokenId -> holder, as returned by getHolderMapByBlock.
+ * @param {Map<string, bigint>} balances holder -> balance in wei.
+ * @param {object} meta contractAddress, blockNumber and timestamp of the snapshot block.
+ * @param {number} [topN] How many holders the top lists keep.
+ * @param {object} [classification] types (holder -> 'eoa' or 'contract') and the excluded holders, as
+ *   returned by applyHolderRules. Excluded holders are listed separately and left out of the summary.
+ * @param {object} [holdings] With --asset: balances, as returned by getAssetBalances with ETH first, and the
+ *   prices of --prices. Every holder then gets its amount per asset and their value, the summary the totals.
+ */
+function buildHolderReport(holderMap, balances, meta, topN = DEFAULT_TOP_N, classification = {}, holdings = null) {
+    const types = classification.types || new Map();
+    const excludedHolders = classification.excluded || [];
+    const excludedAddresses = new Set(excludedHolders.map((holder) => holder.address));
+
+    const holders = [];
+    for (const [address, tokenIds] of groupTokensByHolder(holderMap)) {
+        if (excludedAddresses.has(address)) {
+            continue;
+        }
+        const balanceWei = balances.get(address) ?? 0n;
+        holders.push({
+            address,
+            type: types.get(address) ?? null,
+            tokenCount: tokenIds.length,
+            tokenIds,
+            balanceWei: balanceWei.toString(),
+            balanceEth: ethers.formatEther(balanceWei),
+            ...(holdings && holderAssets(holdings.balances, address, holdings.prices)),
+        });
+    }
+    const excluded = excludedHolders.map((holder) => ({
+        ...holder,
+        balanceEth: ethers.formatEther(balances.get(holder.address) ?? 0n),
+        ...(holdings && holderAssets(holdings.balances, holder.address, holdings.prices)),
+    }));
+    // richest first, ties broken by address so the output is stable
+    holders.sort((a, b) => {
+        const difference = BigInt(b.balanceWei) - BigInt(a.balanceWei);
+        if (difference !== 0n) {
+            return difference > 0n ? 1 : -1;
+        }
+        return a.address.localeCompare(b.address);
+    });
+
+    const weiValues = holders.map((holder) => BigInt(holder.balanceWei));
+    const totalWei = weiValues.reduce((sum, value) => sum + value, 0n);
+    const byTokenCount = [...holders].sort((a, b) => b.tokenCount - a.tokenCount || a.address.localeCompare(b.address));
+    // asset totals only count the holders the summary counts
+    const countedHoldings = holdings && holdings.balances.map(({ asset, balances: amounts }) => ({
+        asset,
+        balances: new Map(holders.map((holder) => [holder.address, amounts.get(holder.address) ?? 0n])),
+    }));
+
+    return {
+        contractAddress: meta.contractAddress,
+        blockNumber: meta.blockNumber,
+        timestamp: meta.timestamp,
+        summary: {
+            holderCount: holders.length,
+            tokenCount: holders.reduce((sum, holder) => sum + holder.tokenCount, 0),
+            contractCount: holders.filter((holder) => holder.type === 'contract').length,
+            excludedHolderCount: excluded.length,
+            excludedTokenCount: excluded.reduce((sum, holder) => sum + holder.tokenCount, 0),
+            totalEth: ethers.formatEther(totalWei),
+            medianEth: ethers.formatEther(medianWei(weiValues)),
+            topByBalance: holders.slice(0, topN).map(holderSummary),
+            topByTokenCount: byTokenCount.slice(0, topN).map(holderSummary),
+            ...(holdings && summarizeAssets(countedHoldings, holdings.prices)),
+        },
+        holders,
+        excluded,
+    };
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// json carries the summary and the holders, csv and ndjson one row per holder. with --asset csv has a
+// column per asset after the fixed ones, and with --prices a valueEth column last
+function formatHolderReport(report, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2);
+        case 'csv': {
+            const labels = (report.summary.assets || []).map((asset) => asset.label);
+            const priced = report.summary.totalValueEth != null;
+            const header = ['address', 'tokenCount', 'balanceEth', 'balanceWei', 'tokenIds', 'type', ...labels, ...(priced ? ['valueEth'] : [])];
+            const rows = report.holders.map((holder) => [
+                holder.address,
+                holder.tokenCount,
+                holder.balanceEth,
+                holder.balanceWei,
+                holder.tokenIds.join(' '),
+                holder.type ?? '',
+                ...labels.map((label) => holder.assets[label]),
+                ...(priced ? [holder.valueEth] : []),
+            ].map(csvField).join(','));
+            return [header.map(csvField).join(','), ...rows].join('\n') + '\n';
+        }
+        case 'ndjson':
+            return report.holders.map((holder) => JSON.stringify(holder)).join('\n') + '\n';
+        default:
+            throw new Error(`Unknown report format "${format}"`);
+    }
+}
+
+// --format wins, otherwise the output file extension decides, json by default
+function resolveReportFormat(format, outputPath) {
+    if (format) {
+        return format;
+    }
+    const extension = outputPath ? path.extname(outputPath).toLowerCase() : '';
+    if (extension === '.csv') {
+        return 'csv';
+    }
+    if (extension === '.ndjson' || extension === '.jsonl') {
+        return 'ndjson';
+    }
+    return 'json';
+}
+
+function printReportSummary(report) {
+    const { summary } = report;
+    console.log(`Holder report of ${report.contractAddress} at block ${report.blockNumber}`);
+    console.log(`  holders: ${summary.holderCount} (contracts: ${summary.contractCount}), tokens: ${summary.tokenCount}`);
+    console.log(`  total: ${summary.totalEth} ETH, median: ${summary.medianEth} ETH`);
+    for (const asset of (summary.assets || []).filter((entry) => entry.kind !== 'native')) {
+        const value = asset.valueEth !== null ? `, worth ${asset.valueEth} ETH` : '';
+        console.log(`  ${asset.label}: ${asset.total} held by ${asset.holderCount} holders${value}`);
+    }
+    if (summary.totalValueEth != null) {
+        console.log(`  total value: ${summary.totalValueEth} ETH`);
+    }
+    console.log(`  top ${summary.topByBalance.length} by balance:`);
+    for (const holder of summary.topByBalance) {
+        console.log(`    ${holder.address}  ${holder.balanceEth} ETH  (${holder.tokenCount} tokens)`);
+    }
+    printExcludedHolders(report.excluded);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    DEFAULT_TOP_N,
+    compareTokenIds,
+    groupTokensByHolder,
+    buildHolderReport,
+    formatHolderReport,
+    resolveReportFormat,
+    printReportSummary,
+};
@@ -0,0 +1,367 @@
+// server.js
+const http = require('http');
+const { ethers } = require('ethers');
+const { compareTokenIds, groupTokensByHolder } = require('./report');
+const { UsageError, parseTimestamp: parseCliTimestamp } = require('./cli');
+const { logger } = require('./log');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const CACHE_SIZE = 50;
+
+// carries the HTTP status an error is answered with, anything else becomes a 500
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// least recently used cache of promises, so concurrent requests for the same result share one computation
+class ResultCache {
+    constructor(maxEntries = CACHE_SIZE) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get(key, compute) {
+        if (this.entries.has(key)) {
+            const value = this.entries.get(key);
+            // re-insert to mark it as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, value);
+            this.hits++;
+            return value;
+        }
+
+        this.misses++;
+        const value = compute();
+        this.entries.set(key, value);
+        // failed computations are not cached, unless the entry was replaced meanwhile
+        value.catch(() => {
+            if (this.entries.get(key) === value) {
+                this.entries.delete(key);
+            }
+        });
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return value;
+    }
+}
+
+function parseAddress(value, name) {
+    if (!ethers.isAddress(value)) {
+        throw new HttpError(400, `Invalid ${name} "${value}", expected a 0x-prefixed address`);
+    }
+    return value;
+}
+
+function parseBlockNumber(value) {
+    if (!/^\d+$/.test(value)) {
+        throw new HttpError(400, `Invalid block "${value}", expected a block number`);
+    }
+    return Number(value);
+}
+
+// accepts a Unix timestamp in seconds or an ISO 8601 date, parsed like --timestamp
+function parseTimestamp(value) {
+    try {
+        return parseCliTimestamp(value, 'timestamp');
+    } catch (error) {
+        if (error instanceof UsageError) {
+            throw new HttpError(400, error.message);
+        }
+        throw error;
+    }
+}
+
+// limit/offset pagination, the total lets clients tell when they reached the end
+function paginate(items, query) {
+    const limit = query.has('limit') ? Number(query.get('limit')) : DEFAULT_PAGE_SIZE;
+    const offset = query.has('offset') ? Number(query.get('offset')) : 0;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new HttpError(400, `Invalid limit "${query.get('limit')}", expected a number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new HttpError(400, `Invalid offset "${query.get('offset')}", expected a non-negative number`);
+    }
+    return {
+        items: items.slice(offset, offset + limit),
+        pagination: { offset, limit, total: items.length },
+    };
+}
+
+/**
+ * Read-only JSON API over the event cache, with a background job syncing every tracked collection.
+ * @param {object} service What the server builds on, supplied by app.js:
+ *   db (EventCacheDB), defaultContract, confirmations,
+ *   getLatestBlock() -> chain head,
+ *   findBlockByTimestamp(timestamp, direction) -> {number, timestamp},
+ *   getHolderMap(collection, blockNumber) -> Map of tokenId -> holder,
+ *   getBalanceSum(holders, blockNumber) -> total ETH as a decimal string,
+ *   syncCollection(address, blockNumber) -> fetches events of a collection through the block.
+ * @param {object} [options]
+ * @param {number} [options.syncIntervalMs] Pause between background syncs, 0 disables them.
+ */
+class ApiServer {
+    constructor(service, { syncIntervalMs = 60000 } = {}) {
+        this.service = service;
+        this.syncIntervalMs = syncIntervalMs;
+        this.cache = new ResultCache();
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.syncTimer = null;
+        this.syncRunning = null;
+        // blocks at or below it can no longer be reorged, only results up to it are cached
+        this.confirmedBlock = -1;
+        this.lastSync = null;
+
+        this.routes = [
+            { pattern: /^\/collections$/, handler: () => this.listCollections() },
+            { pattern: /^\/collections\/([^/]+)\/holders$/, handler: (params, query) => this.getHolders(params[0], query) },
+            { pattern: /^\/owners\/([^/]+)$/, handler: (params, query) => this.getOwner(params[0], query) },
+            { pattern: /^\/wallets\/([^/]+)\/tokens$/, handler: (params, query) => this.getWalletTokens(params[0], query) },
+            { pattern: /^\/snapshots\/([^/]+)\/balance-sum$/, handler: (params, query) => this.getBalanceSum(params[0], query) },
+            { pattern: /^\/status$/, handler: () => this.getStatus() },
+        ];
+    }
+
+    async listen(port, host) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+        const address = this.server.address();
+        logger.info(`API listening on http://${address.address}:${address.port}`);
+
+        this.confirmedBlock = (await this.service.getLatestBlock()) - this.service.confirmations;
+        if (this.syncIntervalMs > 0) {
+            this.scheduleSync(0);
+        }
+        return address;
+    }
+
+    async close() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = null;
+        await new Promise((resolve) => this.server.close(resolve));
+        // let a running sync finish its current write instead of cutting it off
+        if (this.syncRunning) {
+            await this.syncRunning;
+        }
+    }
+
+    scheduleSync(delay) {
+        this.syncTimer = setTimeout(() => {
+            this.syncRunning = this.syncAll().finally(() => {
+                this.syncRunning = null;
+                if (this.syncTimer) {
+                    this.scheduleSync(this.syncIntervalMs);
+                }
+            });
+        }, delay);
+    }
+
+    // brings every tracked collection up to the chain head, one failing collection does not stop the others
+    async syncAll() {
+        const startedAt = new Date().toISOString();
+        const errors = [];
+        let latestBlock = null;
+        try {
+            latestBlock = await this.service.getLatestBlock();
+            for (const collection of await this.service.db.getCollections()) {
+                try {
+                    await this.service.syncCollection(collection.address, latestBlock);
+                } catch (error) {
+                    logger.error(`Background sync of ${collection.address} failed: ${error.message}`);
+                    errors.push({ contractAddress: collection.address, error: error.message });
+                }
+            }
+            this.confirmedBlock = Math.max(this.confirmedBlock, latestBlock - this.service.confirmations);
+        } catch (error) {
+            logger.error(`Background sync failed: ${error.message}`);
+            errors.push({ error: error.message });
+        }
+        this.lastSync = { startedAt, finishedAt: new Date().toISOString(), blockNumber: latestBlock, errors };
+    }
+
+    async handle(req, res) {
+        const started = Date.now();
+        let status = 200;
+        let body;
+        try {
+            if (req.method !== 'GET') {
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+            const url = new URL(req.url, 'http://localhost');
+            const route = this.routes.find((candidate) => candidate.pattern.test(url.pathname));
+            if (!route) {
+                throw new HttpError(404, `No route for ${url.pathname}`);
+            }
+            const params = url.pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+            body = await route.handler(params, url.searchParams);
+        } catch (error) {
+            // usage errors from the shared code are about the request as well, e.g. a timestamp after the head
+            status = error instanceof HttpError ? error.status : error instanceof UsageError ? 400 : 500;
+            if (status === 500) {
+                logger.error(`${req.method} ${req.url} failed: ${error.stack || error.message}`);
+            }
+            body = { error: { status, message: error.message } };
+        }
+
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+        const durationMs = Date.now() - started;
+        logger.info(`${req.method} ${req.url} ${status} ${durationMs}ms`, { method: req.method, url: req.url, status, durationMs });
+    }
+
+    // a tracked collection, from the path or from ?contract= (default: the server's --contract)
+    async loadCollection(address) {
+        const contractAddress = parseAddress(address || this.service.defaultContract, 'contract').toLowerCase();
+        const collection = await this.service.db.getCollection(contractAddress);
+        if (!collection) {
+            throw new HttpError(404, `Collection ${contractAddress} is not tracked`);
+        }
+        return collection;
+    }
+
+    // ?block= or ?timestamp= (with ?direction=), defaulting to the last block the collection is synced through
+    async resolveBlock(collection, query, { required = false } = {}) {
+        if (query.has('block') && query.has('timestamp')) {
+            throw new HttpError(400, 'Use either block or timestamp, not both');
+        }
+
+        let blockNumber;
+        if (query.has('timestamp')) {
+            const direction = query.get('direction') || 'before';
+            if (direction !== 'before' && direction !== 'after') {
+                throw new HttpError(400, `Invalid direction "${direction}", expected "before" or "after"`);
+            }
+            const timestamp = parseTimestamp(query.get('timestamp'));
+            blockNumber = (await this.service.findBlockByTimestamp(timestamp, direction)).number;
+        } else if (query.has('block') && query.get('block') !== 'latest') {
+            blockNumber = parseBlockNumber(query.get('block'));
+        } else if (required && !query.has('block')) {
+            throw new HttpError(400, 'A block or timestamp is required');
+        } else {
+            blockNumber = collection.syncedThroughBlock;
+        }
+
+        if (blockNumber < collection.deploymentBlock) {
+            throw new HttpError(404, `Collection ${collection.address} was deployed at block ${collection.deploymentBlock}, after block ${blockNumber}`);
+        }
+        if (blockNumber > collection.syncedThroughBlock) {
+            throw new HttpError(409, `Collection ${collection.address} is only synced through block ${collection.syncedThroughBlock}`);
+        }
+        return blockNumber;
+    }
+
+    // results at confirmed blocks never change, newer ones may still be reorged and are computed every time
+    cached(key, blockNumber, compute) {
+        if (blockNumber > this.confirmedBlock) {
+            return compute();
+        }
+        return this.cache.get(key, compute);
+    }
+
+    holderMap(collection, blockNumber) {
+        return this.cached(`holders:${collection.address}:${blockNumber}`, blockNumber, () => this.service.getHolderMap(collection, blockNumber));
+    }
+
+    async listCollections() {
+        return { collections: await this.service.db.getCollections() };
+    }
+
+    async getHolders(address, query) {
+        const collection = await this.loadCollection(address);
+        const blockNumber = await this.resolveBlock(collection, query);
+        const holderMap = await this.holderMap(collection, blockNumber);
+
+        // most tokens first, ties broken by address so pages are stable
+        const holders = Array.from(groupTokensByHolder(holderMap), ([holder, tokenIds]) => ({ address: holder, tokenCount: tokenIds.length, tokenIds }));
+        holders.sort((a, b) => b.tokenCount - a.tokenCount || a.address.localeCompare(b.address));
+
+        const page = paginate(holders, query);
+        return {
+            contractAddress: collection.address,
+            blockNumber,
+            holderCount: holders.length,
+            tokenCount: holderMap.size,
+            holders: page.items,
+            pagination: page.pagination,
+        };
+    }
+
+    async getOwner(tokenId, query) {
+        if (!/^\d+$/.test(tokenId)) {
+            throw new HttpError(400, `Invalid token id "${tokenId}"`);
+        }
+        tokenId = BigInt(tokenId).toString();
+        const collection = await this.loadCollection(query.get('contract'));
+
+        // without a block the ownership state answers directly, no holder map needed
+        if (!query.has('block') && !query.has('timestamp')) {
+            const row = await this.service.db.getTokenOwner(collection.address, tokenId);
+            if (!row || row.owner === ethers.ZeroAddress) {
+                throw new HttpError(404, `Token ${tokenId} of ${collection.address} does not exist`);
+            }
+            return { contractAddress: collection.address, tokenId, owner: row.owner, blockNumber: collection.syncedThroughBlock, lastTransferBlock: row.blockNumber };
+        }
+
+        const blockNumber = await this.resolveBlock(collection, query);
+        const owner = (await this.holderMap(collection, blockNumber)).get(tokenId);
+        if (!owner) {
+            throw new HttpError(404, `Token ${tokenId} of ${collection.address} does not exist at block ${blockNumber}`);
+        }
+        return { contractAddress: collection.address, tokenId, owner, blockNumber };
+    }
+
+    async getWalletTokens(address, query) {
+        const wallet = ethers.getAddress(parseAddress(address, 'wallet address'));
+        const collection = await this.loadCollection(query.get('contract'));
+
+        let blockNumber = collection.syncedThroughBlock;
+        let tokenIds;
+        if (!query.has('block') && !query.has('timestamp')) {
+            tokenIds = await this.service.db.getTokensByOwner(collection.address, wallet);
+        } else {
+            blockNumber = await this.resolveBlock(collection, query);
+            const holderMap = await this.holderMap(collection, blockNumber);
+            tokenIds = Array.from(holderMap).filter(([, holder]) => holder === wallet).map(([tokenId]) => tokenId);
+        }
+        tokenIds.sort(compareTokenIds);
+
+        const page = paginate(tokenIds, query);
+        return { contractAddress: collection.address, wallet, blockNumber, tokenCount: tokenIds.length, tokenIds: page.items, pagination: page.pagination };
+    }
+
+    async getBalanceSum(block, query) {
+        const collection = await this.loadCollection(query.get('contract'));
+        const blockQuery = new URLSearchParams({ block });
+        const blockNumber = await this.resolveBlock(collection, blockQuery, { required: true });
+
+        return this.cached(`balance-sum:${collection.address}:${blockNumber}`, blockNumber, async () => {
+            const holderMap = await this.holderMap(collection, blockNumber);
+            const holders = Array.from(new Set(holderMap.values()));
+            const totalEth = await this.service.getBalanceSum(holders, blockNumber);
+            return { contractAddress: collection.address, blockNumber, holderCount: holders.length, totalEth };
+        });
+    }
+
+    async getStatus() {
+        return {
+            confirmedBlock: this.confirmedBlock,
+            lastSync: this.lastSync,
+            syncing: Boolean(this.syncRunning),
+            cache: { entries: this.cache.entries.size, hits: this.cache.hits, misses: this.cache.misses },
+        };
+    }
+}
+
+module.exports = {
+    HttpError,
+    ApiServer,
+};
@@ -0,0 +1,195 @@
+// test/assets.test.js
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { commands, getTransactionThroughBlock } = require('../app');
+const { parseAssetSpec, parsePrice, resolveAssets } = require('../assets');
+const { UsageError, parseCli } = require('../cli');
+const { MockNode } = require('./mock-node');
+const { CONTRACT_ADDRESS, holderAddress, generateTransfers, holdersAt, createContext, silenceConsole } = require('./helpers');
+
+const DEPLOYMENT_BLOCK = 100;
+const SYNCED_THROUGH = 400;
+const TARGET_BLOCK = 350;
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const MAYC = '0x60E4d786628Fea6478F785A6d7e704777c86a7c6';
+// an ERC-20 without decimals(), its balances cannot be converted
+const NO_DECIMALS = '0x1111111111111111111111111111111111111111';
+
+const HOLDERS = Array.from({ length: 8 }, (_, index) => holderAddress(index + 1));
+// holder n has n ETH, 1.5 * n USDC, 0.1 * n WETH when n is odd and n % 3 MAYC
+const BALANCES = {
+    ETH: HOLDERS.map((address, index) => BigInt(index + 1) * 10n ** 18n),
+    USDC: HOLDERS.map((address, index) => BigInt(index + 1) * 1500000n),
+    WETH: HOLDERS.map((address, index) => (index % 2 === 0 ? BigInt(index + 1) * 10n ** 17n : 0n)),
+    MAYC: HOLDERS.map((address, index) => BigInt((index + 1) % 3)),
+};
+
+function balanceMap(amounts) {
+    return new Map(HOLDERS.map((address, index) => [address.toLowerCase(), amounts[index]]));
+}
+
+let node;
+let context;
+let directory;
+let holders;
+
+before(async () => {
+    const transfers = generateTransfers({ mintBlock: DEPLOYMENT_BLOCK, toBlock: SYNCED_THROUGH, tokenCount: 20, holderCount: HOLDERS.length, every: 5 });
+    node = new MockNode({
+        head: SYNCED_THROUGH + 20,
+        contractAddress: CONTRACT_ADDRESS,
+        deploymentBlock: DEPLOYMENT_BLOCK,
+        transfers,
+        balances: balanceMap(BALANCES.ETH),
+        tokens: new Map([
+            [USDC.toLowerCase(), { balances: balanceMap(BALANCES.USDC), decimals: 6, symbol: 'USDC' }],
+            [WETH.toLowerCase(), { balances: balanceMap(BALANCES.WETH), decimals: 18, symbol: 'WETH' }],
+            [MAYC.toLowerCase(), { balances: balanceMap(BALANCES.MAYC), symbol: 'MAYC' }],
+            [NO_DECIMALS, { balances: new Map(), symbol: 'ODD' }],
+        ]),
+    });
+    await node.start();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+    holders = new Set(holdersAt(transfers, TARGET_BLOCK).values());
+});
+
+after(async () => {
+    await node.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(async (t) => {
+    silenceConsole(t);
+    context = await createContext(node);
+    await context.db.addCollection(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK);
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, SYNCED_THROUGH);
+});
+
+afterEach(async () => {
+    await context.close();
+});
+
+function run(command, options) {
+    return commands[command]({
+        ...context,
+        options: {
+            block: TARGET_BLOCK,
+            holderType: 'all',
+            include: [],
+            exclude: [],
+            balanceBackend: 'multicall',
+            batchSize: 3,
+            top: 10,
+            ...options,
+        },
+    });
+}
+
+const ASSETS = ['native', `erc20:${USDC}`, `erc20:${WETH.toLowerCase()}`, `erc721:${MAYC}`].map(parseAssetSpec);
+
+// sum of an asset over the holders at the target block
+function expectedTotal(symbol) {
+    return HOLDERS.reduce((sum, address, index) => (holders.has(address) ? sum + BALANCES[symbol][index] : sum), 0n);
+}
+
+test('parses asset specs and prices', () => {
+    assert.deepEqual(parseAssetSpec('native'), { kind: 'native', address: null });
+    assert.deepEqual(parseAssetSpec(`ERC20:${USDC.toLowerCase()}`), { kind: 'erc20', address: USDC });
+    assert.deepEqual(parseAssetSpec(`erc721:${MAYC}`), { kind: 'erc721', address: MAYC });
+    for (const spec of ['eth', 'erc20', `erc1155:${MAYC}`, 'erc20:0x1234']) {
+        assert.equal(parseAssetSpec(spec), null, spec);
+    }
+
+    assert.equal(parsePrice('0.0004'), 400000000000000n);
+    assert.equal(parsePrice(2), 2n * 10n ** 18n);
+    for (const price of [-1, 1e-7, '1,5', '0.0000000000000000001', null]) {
+        assert.equal(parsePrice(price), null, String(price));
+    }
+});
+
+test('rejects asset options the command does not use or cannot read', () => {
+    const pricesPath = path.join(directory, 'prices.json');
+    fs.writeFileSync(pricesPath, JSON.stringify({ USDC: '0.0004' }));
+    assert.throws(() => parseCli(['balance', '--asset', 'erc20:0x1234']), UsageError);
+    assert.throws(() => parseCli(['holders', '--asset', 'native']), /only supported by balance, report and snapshot/);
+    assert.throws(() => parseCli(['balance', '--prices', pricesPath]), /--prices requires --asset/);
+
+    fs.writeFileSync(pricesPath, JSON.stringify({ USDC: 'cheap' }));
+    assert.throws(() => parseCli(['balance', '--asset', 'native', '--prices', pricesPath]), /Invalid price "cheap" of "USDC"/);
+
+    const { options } = parseCli(['report', '--asset', `erc20:${USDC}`, '--asset', `erc20:${USDC.toLowerCase()}`]);
+    assert.deepEqual(options.assets, [{ kind: 'erc20', address: USDC }]);
+});
+
+test('sums every asset at the block in its own decimals with every backend', async () => {
+    for (const balanceBackend of ['multicall', 'batch', 'single']) {
+        const result = await run('balance', { assets: ASSETS, balanceBackend });
+        assert.deepEqual(result.assets.map(({ label, decimals, total, holderCount }) => ({ label, decimals, total, holderCount })), [
+            { label: 'ETH', decimals: 18, total: ethers.formatEther(expectedTotal('ETH')), holderCount: 8 },
+            { label: 'USDC', decimals: 6, total: ethers.formatUnits(expectedTotal('USDC'), 6), holderCount: 8 },
+            { label: 'WETH', decimals: 18, total: ethers.formatEther(expectedTotal('WETH')), holderCount: 4 },
+            { label: 'MAYC', decimals: 0, total: expectedTotal('MAYC').toString(), holderCount: 6 },
+        ], balanceBackend);
+        assert.equal(result.totalEth, ethers.formatEther(expectedTotal('ETH')));
+        assert.equal(result.totalValueEth, null);
+    }
+});
+
+test('values the assets listed in the price table', async () => {
+    const prices = new Map([['usdc', parsePrice('0.0004')], [WETH.toLowerCase(), parsePrice('1')]]);
+    const result = await run('balance', { assets: ASSETS, prices });
+
+    const usdcValue = (expectedTotal('USDC') * parsePrice('0.0004')) / 10n ** 6n;
+    assert.deepEqual(result.assets.map((asset) => asset.valueEth), [
+        ethers.formatEther(expectedTotal('ETH')),
+        ethers.formatEther(usdcValue),
+        ethers.formatEther(expectedTotal('WETH')),
+        null,
+    ]);
+    assert.equal(result.totalValueEth, ethers.formatEther(expectedTotal('ETH') + usdcValue + expectedTotal('WETH')));
+});
+
+test('reports the amount of every asset per holder', async () => {
+    const prices = new Map([['usdc', parsePrice('0.0004')]]);
+    const output = path.join(directory, 'report.csv');
+    await run('report', { assets: ASSETS.slice(1), prices, output });
+
+    const [header, ...rows] = fs.readFileSync(output, 'utf8').trim().split('\n').map((line) => line.split(','));
+    assert.deepEqual(header.slice(6), ['ETH', 'USDC', 'WETH', 'MAYC', 'valueEth']);
+    assert.equal(rows.length, HOLDERS.length);
+    for (const row of rows) {
+        const index = HOLDERS.indexOf(row[0]);
+        assert.deepEqual(row.slice(6), [
+            ethers.formatEther(BALANCES.ETH[index]),
+            ethers.formatUnits(BALANCES.USDC[index], 6),
+            ethers.formatEther(BALANCES.WETH[index]),
+            BALANCES.MAYC[index].toString(),
+            ethers.formatEther(BALANCES.ETH[index] + (BALANCES.USDC[index] * parsePrice('0.0004')) / 10n ** 6n),
+        ], row[0]);
+    }
+});
+
+test('fails on tokens without code at the block or without decimals', async () => {
+    const { provider, rateLimiter } = context;
+    await assert.rejects(resolveAssets(provider, [parseAssetSpec(`erc20:${holderAddress(1)}`)], TARGET_BLOCK, rateLimiter), /has no contract code at block 350/);
+    await assert.rejects(resolveAssets(provider, [parseAssetSpec(`erc20:${NO_DECIMALS}`)], TARGET_BLOCK, rateLimiter), /has no decimals\(\)/);
+
+    // symbol() is optional, a token without one is labelled by its address, and a second ETH is told apart
+    const unnamed = '0x2222222222222222222222222222222222222222';
+    node.tokens.set(unnamed, { balances: new Map() });
+    node.tokens.set(CONTRACT_ADDRESS, { balances: new Map(), symbol: 'ETH' });
+    try {
+        const specs = [`erc721:${unnamed}`, `erc721:${CONTRACT_ADDRESS}`, 'native'].map(parseAssetSpec);
+        const assets = await resolveAssets(provider, specs, TARGET_BLOCK, rateLimiter);
+        assert.deepEqual(assets.map((asset) => asset.label), ['0x22222222', 'ETH-bc4ca0', 'ETH']);
+    } finally {
+        node.tokens.delete(unnamed);
+        node.tokens.delete(CONTRACT_ADDRESS);
+    }
+});
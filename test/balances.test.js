@@ -0,0 +1,87 @@
+// test/balances.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchBalances } = require('../balances');
+const { MockNode } = require('./mock-node');
+const { CONTRACT_ADDRESS, holderAddress, createContext, silenceConsole } = require('./helpers');
+
+const HOLDERS = Array.from({ length: 250 }, (_, index) => holderAddress(index + 1));
+// distinct balances, some of them zero
+const BALANCES = new Map(HOLDERS.map((address, index) => [address.toLowerCase(), index % 7 === 0 ? 0n : BigInt(index) * 10n ** 15n + 1n]));
+const EXPECTED = HOLDERS.map((address) => BALANCES.get(address.toLowerCase()));
+
+let node;
+let context;
+
+async function setUp(t, nodeOptions = {}) {
+    silenceConsole(t);
+    node = new MockNode({ head: 1000, contractAddress: CONTRACT_ADDRESS, balances: BALANCES, ...nodeOptions });
+    await node.start();
+    context = await createContext(node);
+}
+
+afterEach(async () => {
+    await context.close();
+    await node.close();
+});
+
+function fetchWith(backend, batchSize = 100) {
+    return fetchBalances(context.provider, HOLDERS, 900, { rateLimiter: context.rateLimiter, backend, batchSize });
+}
+
+function requestCount(method) {
+    return node.requests.filter((request) => request.method === method).length;
+}
+
+test('every backend returns the same balances in address order', async (t) => {
+    await setUp(t);
+    for (const backend of ['multicall', 'batch', 'single']) {
+        assert.deepEqual(await fetchWith(backend), EXPECTED, backend);
+    }
+});
+
+test('multicall and batch return what per-address calls return, whatever the chunk size', async (t) => {
+    await setUp(t);
+    const single = await fetchWith('single');
+    // one address per chunk, chunks that do not divide the addresses evenly, and a single chunk for all of them
+    for (const batchSize of [1, 7, HOLDERS.length, 1000]) {
+        assert.deepEqual(await fetchWith('multicall', batchSize), single, `multicall, ${batchSize} per chunk`);
+        assert.deepEqual(await fetchWith('batch', batchSize), single, `batch, ${batchSize} per chunk`);
+    }
+});
+
+test('multicall asks for a chunk of balances in one eth_call', async (t) => {
+    await setUp(t);
+    await fetchWith('multicall');
+    assert.equal(requestCount('eth_call'), 3);
+    assert.equal(requestCount('eth_getBalance'), 0);
+});
+
+test('falls back to batches before Multicall3 was deployed', async (t) => {
+    await setUp(t, { multicallFrom: 950 });
+    assert.deepEqual(await fetchWith('multicall'), EXPECTED);
+    assert.equal(requestCount('eth_call'), 0);
+    assert.equal(requestCount('eth_getBalance'), HOLDERS.length);
+});
+
+test('falls back to per-address calls when the node rejects batches', async (t) => {
+    await setUp(t, { batching: false });
+    assert.deepEqual(await fetchWith('batch'), EXPECTED);
+});
+
+test('refetches only the balances a batch left unanswered', async (t) => {
+    await setUp(t);
+    const failing = new Set([HOLDERS[3], HOLDERS[120]].map((address) => address.toLowerCase()));
+    let failed = 0;
+    node.fail = (method, params) => {
+        if (method === 'eth_getBalance' && failing.has(params[0].toLowerCase()) && failed < failing.size) {
+            failed++;
+            return 'header not found';
+        }
+        return null;
+    };
+
+    assert.deepEqual(await fetchWith('batch'), EXPECTED);
+    // one entry per address in the batches, then a single call for each of the two unanswered ones
+    assert.equal(requestCount('eth_getBalance'), HOLDERS.length + 2);
+});
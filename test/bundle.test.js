@@ -0,0 +1,143 @@
+// test/bundle.test.js
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { commands, getTransactionThroughBlock, getHolderMapByBlock } = require('../app');
+const { BundleError, hashContent } = require('../bundle');
+const { MockNode } = require('./mock-node');
+const { CONTRACT_ADDRESS, generateTransfers, holdersAt, createContext, silenceConsole } = require('./helpers');
+
+const DEPLOYMENT_BLOCK = 100;
+const SYNCED_THROUGH = 2000;
+
+let node;
+let directory;
+let source;
+let target;
+
+function run(command, context, options) {
+    return commands[command]({ ...context, options: { bundle: path.join(directory, 'bundle.ndjson.gz'), ...options } });
+}
+
+// rewrites the bundle line by line, as a damaged or tampered file would look
+function editBundle(edit) {
+    const bundlePath = path.join(directory, 'bundle.ndjson.gz');
+    const lines = zlib.gunzipSync(fs.readFileSync(bundlePath)).toString('utf8').split('\n');
+    fs.writeFileSync(bundlePath, zlib.gzipSync(edit(lines).join('\n')));
+}
+
+before(async () => {
+    const transfers = generateTransfers({ mintBlock: DEPLOYMENT_BLOCK, toBlock: SYNCED_THROUGH, tokenCount: 40, holderCount: 8, every: 3 });
+    node = new MockNode({ head: SYNCED_THROUGH + 100, contractAddress: CONTRACT_ADDRESS, deploymentBlock: DEPLOYMENT_BLOCK, transfers });
+    await node.start();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'));
+});
+
+after(async () => {
+    await node.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(async (t) => {
+    silenceConsole(t);
+    source = await createContext(node);
+    target = await createContext(node);
+    await source.db.addCollection(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK);
+    await getTransactionThroughBlock(source, CONTRACT_ADDRESS, SYNCED_THROUGH);
+    await source.db.saveHolderSnapshot(CONTRACT_ADDRESS, 1500, holdersAt(node.transfers, 1500));
+    await run('export', source, {});
+});
+
+afterEach(async () => {
+    await source.close();
+    await target.close();
+});
+
+test('an imported bundle gives the same cache as syncing', async () => {
+    const { manifest, imported } = await run('import', target, {});
+    assert.equal(manifest.toBlock, SYNCED_THROUGH);
+    assert.deepEqual(manifest.counts, { transfers: node.transfers.length, holderSnapshots: 1, holderSnapshotOwners: 40 });
+    assert.deepEqual(imported, { transfers: node.transfers.length, holderSnapshots: 1 });
+
+    assert.deepEqual(await target.db.getSyncedRanges(CONTRACT_ADDRESS), [{ fromBlock: DEPLOYMENT_BLOCK, toBlock: SYNCED_THROUGH }]);
+    assert.deepEqual(await target.db.getCurrentOwners(CONTRACT_ADDRESS), await source.db.getCurrentOwners(CONTRACT_ADDRESS));
+    assert.deepEqual(await target.db.getHolderSnapshot(CONTRACT_ADDRESS, 1500), holdersAt(node.transfers, 1500));
+    for (const blockNumber of [DEPLOYMENT_BLOCK, 1000, SYNCED_THROUGH]) {
+        const holderMap = await getHolderMapByBlock(target, CONTRACT_ADDRESS, DEPLOYMENT_BLOCK, blockNumber);
+        assert.deepEqual(holderMap, holdersAt(node.transfers, blockNumber), `holders at block ${blockNumber}`);
+    }
+});
+
+test('importing into a partly synced cache only adds what is missing', async () => {
+    await target.db.addCollection(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK);
+    await getTransactionThroughBlock(target, CONTRACT_ADDRESS, 1200);
+    const cached = await target.db.countEventsByBlockRange(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK, SYNCED_THROUGH);
+
+    const { imported } = await run('import', target, {});
+    assert.equal(imported.transfers, node.transfers.length - cached);
+    assert.deepEqual(await target.db.getSyncedRanges(CONTRACT_ADDRESS), [{ fromBlock: DEPLOYMENT_BLOCK, toBlock: SYNCED_THROUGH }]);
+    assert.equal(await target.db.countEventsByBlockRange(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK, SYNCED_THROUGH), node.transfers.length);
+});
+
+test('stops at the last block below the confirmations', async () => {
+    node.head = SYNCED_THROUGH + 5;
+    // the source provider still has the old head cached, the target one has not asked for it yet
+    const exporter = { ...source, provider: target.provider };
+    try {
+        const manifest = await run('export', exporter, { confirmations: 10 });
+        assert.equal(manifest.toBlock, SYNCED_THROUGH - 5);
+        await assert.rejects(run('export', exporter, { block: SYNCED_THROUGH, confirmations: 10 }), /could still be reorganized/);
+    } finally {
+        node.head = SYNCED_THROUGH + 100;
+    }
+});
+
+test('rejects a damaged bundle without touching the cache', async () => {
+    editBundle((lines) => {
+        const record = JSON.parse(lines[5]);
+        record.to = record.from;
+        lines[5] = JSON.stringify(record);
+        return lines;
+    });
+    await assert.rejects(run('import', target, {}), (error) => error instanceof BundleError && /content hash/.test(error.message));
+    assert.deepEqual(await target.db.getCollections(), []);
+});
+
+test('rejects a bundle missing records', async () => {
+    editBundle((lines) => [...lines.slice(0, 3), ...lines.slice(4)]);
+    await assert.rejects(run('import', target, {}), BundleError);
+});
+
+// changes a manifest field, re-hashing the bundle unless told not to
+function editManifest(edit, { rehash = true } = {}) {
+    editBundle((lines) => {
+        const manifest = JSON.parse(lines[0]);
+        edit(manifest);
+        if (rehash) {
+            // the last line is empty, every line ends with a newline
+            manifest.contentHash = hashContent(manifest, lines.slice(1, -1));
+        }
+        lines[0] = JSON.stringify(manifest);
+        return lines;
+    });
+}
+
+test('rejects a bundle whose manifest was edited', async () => {
+    for (const edit of [(manifest) => { manifest.fromBlock = 1000; }, (manifest) => { manifest.deploymentBlock = 50; }]) {
+        await run('export', source, {});
+        editManifest(edit, { rehash: false });
+        await assert.rejects(run('import', target, {}), (error) => error instanceof BundleError && /content hash/.test(error.message));
+    }
+    assert.deepEqual(await target.db.getCollections(), []);
+});
+
+test('rejects a bundle taken from another chain', async () => {
+    editManifest((manifest) => {
+        manifest.lastBlockHash = `0x${'ab'.repeat(32)}`;
+    });
+    await assert.rejects(run('import', target, {}), /the bundle was exported at 0xabab/);
+    assert.deepEqual(await target.db.getCollections(), []);
+});
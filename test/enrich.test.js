@@ -0,0 +1,88 @@
+// test/enrich.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { classifyTransfers } = require('../enrich');
+const { CONTRACT_ADDRESS, holderAddress } = require('./helpers');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const OTHER_COLLECTION = '0x60e4d786628fea6478f785a6d7e704777c86a7c6';
+const WETH_ADDRESS = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const SEAPORT = '0x00000000000000adc04c56bf30ac9d3c0aaf14dc';
+const [BUYER, SELLER] = [holderAddress(1), holderAddress(2)];
+
+function nftLog(address, from, to, tokenId) {
+    return {
+        address,
+        topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32), ethers.toBeHex(tokenId, 32)],
+        data: '0x',
+    };
+}
+
+function wethLog(from, to, amount) {
+    return { address: WETH_ADDRESS, topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32)], data: ethers.toBeHex(amount, 32) };
+}
+
+function transfer(logIndex, from = SELLER, to = BUYER) {
+    return { blockNumber: 100, logIndex, from, to };
+}
+
+test('splits a purchase over the tokens the buyer received', () => {
+    const receipt = { logs: [nftLog(CONTRACT_ADDRESS, SELLER, BUYER, 1), nftLog(CONTRACT_ADDRESS, SELLER, BUYER, 2)] };
+    const sales = classifyTransfers([transfer(0), transfer(1)], { from: BUYER, to: SEAPORT, value: ethers.parseEther('2') }, receipt);
+    assert.deepEqual(sales.map(({ kind, ethWei, marketplace }) => ({ kind, ethWei, marketplace })), [
+        { kind: 'sale', ethWei: ethers.parseEther('1'), marketplace: 'OpenSea (Seaport 1.5)' },
+        { kind: 'sale', ethWei: ethers.parseEther('1'), marketplace: 'OpenSea (Seaport 1.5)' },
+    ]);
+});
+
+test('a sweep across collections only counts this collection\'s share', () => {
+    const receipt = {
+        logs: [
+            nftLog(CONTRACT_ADDRESS, SELLER, BUYER, 1),
+            nftLog(OTHER_COLLECTION, holderAddress(3), BUYER, 7),
+            nftLog(OTHER_COLLECTION, holderAddress(3), BUYER, 8),
+            nftLog(CONTRACT_ADDRESS, SELLER, BUYER, 2),
+            wethLog(BUYER, SELLER, ethers.parseEther('0.4')),
+        ],
+    };
+    const sales = classifyTransfers([transfer(0), transfer(3)], { from: BUYER, to: SEAPORT, value: ethers.parseEther('4') }, receipt);
+    // 4 ETH and 0.4 WETH over the four NFTs the buyer received, two of them from this collection
+    assert.deepEqual(sales.map(({ ethWei, wethWei }) => ({ ethWei, wethWei })), [
+        { ethWei: ethers.parseEther('1'), wethWei: ethers.parseEther('0.1') },
+        { ethWei: ethers.parseEther('1'), wethWei: ethers.parseEther('0.1') },
+    ]);
+});
+
+test('counts the ETH once when a transaction delivers to several wallets', () => {
+    const RECIPIENT = holderAddress(3);
+    const logs = [nftLog(CONTRACT_ADDRESS, SELLER, BUYER, 1), nftLog(CONTRACT_ADDRESS, SELLER, BUYER, 2), nftLog(CONTRACT_ADDRESS, SELLER, RECIPIENT, 3)];
+    const transfers = [transfer(0), transfer(1), transfer(2, SELLER, RECIPIENT)];
+
+    // bought for others, the 3 ETH pays for all three tokens
+    const forOthers = classifyTransfers(transfers, { from: holderAddress(4), to: SEAPORT, value: ethers.parseEther('3') }, { logs });
+    assert.deepEqual(forOthers.map(({ kind, ethWei }) => ({ kind, ethWei })), [
+        { kind: 'sale', ethWei: ethers.parseEther('1') },
+        { kind: 'sale', ethWei: ethers.parseEther('1') },
+        { kind: 'sale', ethWei: ethers.parseEther('1') },
+    ]);
+
+    // the buyer sent it, so it paid for its own two tokens and the other wallet got its token for free
+    const byBuyer = classifyTransfers(transfers, { from: BUYER, to: SEAPORT, value: ethers.parseEther('3') }, { logs });
+    assert.deepEqual(byBuyer.map(({ kind, ethWei }) => ({ kind, ethWei })), [
+        { kind: 'sale', ethWei: ethers.parseEther('1.5') },
+        { kind: 'sale', ethWei: ethers.parseEther('1.5') },
+        { kind: 'transfer', ethWei: 0n },
+    ]);
+});
+
+test('tells mints, burns and free transfers apart from sales', () => {
+    const receipt = { logs: [] };
+    const transaction = { from: SELLER, to: CONTRACT_ADDRESS, value: 0n };
+    const kinds = classifyTransfers([
+        transfer(0, ethers.ZeroAddress, SELLER),
+        transfer(1, SELLER, ethers.ZeroAddress),
+        transfer(2, SELLER, BUYER),
+    ], transaction, receipt).map((sale) => sale.kind);
+    assert.deepEqual(kinds, ['mint', 'burn', 'transfer']);
+});
@@ -0,0 +1,92 @@
+// test/helpers.js
+const { ethers } = require('ethers');
+const EventCacheDB = require('../db');
+const RateLimiter = require('../ratelimit');
+const { loadEndpoints, ProviderPool } = require('../providers');
+
+const CONTRACT_ADDRESS = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+
+// checksummed like the addresses ethers decodes from logs
+function holderAddress(index) {
+    return ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(index), 20));
+}
+
+/**
+ * Deterministic Transfer logs: tokens 0..tokenCount-1 are minted one per block from mintBlock on, then every
+ * `every` blocks up to toBlock `perBlock` tokens move on, to each of holderCount holders in turn.
+ */
+function generateTransfers({ mintBlock, toBlock, tokenCount, holderCount, every = 1, perBlock = 1 }) {
+    const owners = new Map();
+    const transfers = [];
+    for (let tokenId = 0; tokenId < tokenCount; tokenId++) {
+        const to = holderAddress(1 + (tokenId % holderCount));
+        transfers.push({ blockNumber: mintBlock + tokenId, logIndex: 0, from: ethers.ZeroAddress, to, tokenId: String(tokenId) });
+        owners.set(tokenId, to);
+    }
+
+    let step = 0;
+    for (let blockNumber = mintBlock + tokenCount; blockNumber <= toBlock; blockNumber += every) {
+        for (let logIndex = 0; logIndex < perBlock; logIndex++, step++) {
+            const tokenId = (step * 7) % tokenCount;
+            const from = owners.get(tokenId);
+            // the holders receive in turn, skipping the current owner so every move changes hands
+            let to = holderAddress(1 + (step % holderCount));
+            if (to === from) {
+                to = holderAddress(1 + ((step + 1) % holderCount));
+            }
+            transfers.push({ blockNumber, logIndex, from, to, tokenId: String(tokenId) });
+            owners.set(tokenId, to);
+        }
+    }
+    return transfers;
+}
+
+// tokenId -> holder after every transfer up to the block, the slow obvious way
+function holdersAt(transfers, blockNumber) {
+    const holderMap = new Map();
+    for (const transfer of transfers) {
+        if (transfer.blockNumber > blockNumber) {
+            break;
+        }
+        if (transfer.to === ethers.ZeroAddress) {
+            holderMap.delete(transfer.tokenId);
+        } else {
+            holderMap.set(transfer.tokenId, transfer.to);
+        }
+    }
+    return holderMap;
+}
+
+// a context as main() builds it, against the mock node and an in-memory cache
+async function createContext(node, rateLimiterOptions = {}) {
+    const provider = new ProviderPool(loadEndpoints({ rpc: [node.url] }, { RPC_RATE_LIMIT: '10000' }));
+    const db = new EventCacheDB(':memory:');
+    await db.ready;
+    const rateLimiter = new RateLimiter(10000, { burst: 100, maxConcurrency: 20, baseDelayMs: 5, ...rateLimiterOptions });
+    return {
+        provider,
+        db,
+        rateLimiter,
+        contractAddress: CONTRACT_ADDRESS,
+        async close() {
+            provider.destroy();
+            await db.close();
+        },
+    };
+}
+
+// the code under test reports progress on the console, keep the test output readable
+function silenceConsole(t) {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+}
+
+module.exports = {
+    CONTRACT_ADDRESS,
+    holderAddress,
+    generateTransfers,
+    holdersAt,
+    createContext,
+    silenceConsole,
+};
@@ -0,0 +1,103 @@
+// test/holders.test.js
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { commands, getTransactionThroughBlock, getHolderMapByBlock, replayTransfers, unwindTransfers } = require('../app');
+const { MockNode } = require('./mock-node');
+const { CONTRACT_ADDRESS, holderAddress, generateTransfers, holdersAt, createContext, silenceConsole } = require('./helpers');
+
+const DEPLOYMENT_BLOCK = 100;
+const SYNCED_THROUGH = 3000;
+
+function event(from, to, tokenId) {
+    return { args: { from, to, tokenId: BigInt(tokenId) } };
+}
+
+test('replaying transfers mints, moves and burns tokens', () => {
+    const [alice, bob] = [holderAddress(1), holderAddress(2)];
+    const holderMap = replayTransfers(new Map(), [
+        event(ethers.ZeroAddress, alice, 1),
+        event(ethers.ZeroAddress, alice, 2),
+        event(alice, bob, 1),
+        event(alice, ethers.ZeroAddress, 2),
+    ]);
+    assert.deepEqual(holderMap, new Map([['1', bob]]));
+});
+
+test('unwinding transfers restores the holders from before them', () => {
+    const [alice, bob] = [holderAddress(1), holderAddress(2)];
+    const before = new Map([['1', alice], ['2', alice]]);
+    const events = [
+        event(alice, bob, 1),
+        event(bob, alice, 1),
+        event(alice, bob, 1),
+        event(alice, ethers.ZeroAddress, 2),
+        event(ethers.ZeroAddress, bob, 3),
+    ];
+    const after = replayTransfers(new Map(before), events);
+    assert.deepEqual(unwindTransfers(after, events), before);
+});
+
+let node;
+let context;
+
+before(async () => {
+    // burns too: every 40th move sends the token to the zero address, the next move of it mints it again
+    const transfers = generateTransfers({ mintBlock: DEPLOYMENT_BLOCK, toBlock: SYNCED_THROUGH, tokenCount: 60, holderCount: 12, every: 2 });
+    const burned = new Set();
+    for (const [index, transfer] of transfers.entries()) {
+        if (burned.has(transfer.tokenId)) {
+            transfer.from = ethers.ZeroAddress;
+            burned.delete(transfer.tokenId);
+        } else if (transfer.from !== ethers.ZeroAddress && index % 40 === 0) {
+            transfer.to = ethers.ZeroAddress;
+            burned.add(transfer.tokenId);
+        }
+    }
+    node = new MockNode({ head: SYNCED_THROUGH + 100, contractAddress: CONTRACT_ADDRESS, deploymentBlock: DEPLOYMENT_BLOCK, transfers });
+    await node.start();
+});
+
+after(async () => {
+    await node.close();
+});
+
+beforeEach(async (t) => {
+    silenceConsole(t);
+    context = await createContext(node);
+    await context.db.addCollection(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK);
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, SYNCED_THROUGH);
+});
+
+afterEach(async () => {
+    await context.close();
+});
+
+const BLOCKS = [DEPLOYMENT_BLOCK - 1, DEPLOYMENT_BLOCK, 150, 1000, 1777, 2500, 2999, SYNCED_THROUGH];
+
+test('builds the same holder map from the cache as replaying every transfer', async () => {
+    for (const blockNumber of BLOCKS) {
+        const holderMap = await getHolderMapByBlock(context, CONTRACT_ADDRESS, DEPLOYMENT_BLOCK, blockNumber);
+        assert.deepEqual(holderMap, holdersAt(node.transfers, blockNumber), `holders at block ${blockNumber}`);
+    }
+});
+
+test('the current ownership state matches the holders at the synced block', async () => {
+    const owners = await context.db.getCurrentOwners(CONTRACT_ADDRESS);
+    assert.deepEqual(owners, holdersAt(node.transfers, SYNCED_THROUGH));
+    assert.equal(new Set(owners.values()).size, 12, 'every holder owns a token');
+});
+
+test('replays from a stored snapshot to the same holder map', async () => {
+    await context.db.saveHolderSnapshot(CONTRACT_ADDRESS, 1200, holdersAt(node.transfers, 1200));
+    for (const blockNumber of BLOCKS) {
+        const holderMap = await getHolderMapByBlock(context, CONTRACT_ADDRESS, DEPLOYMENT_BLOCK, blockNumber);
+        assert.deepEqual(holderMap, holdersAt(node.transfers, blockNumber), `holders at block ${blockNumber}`);
+    }
+});
+
+test('holders --save stores the holder map it returns as a snapshot', async () => {
+    const holders = await commands.holders({ ...context, options: { block: 1500, save: true } });
+    assert.deepEqual(holders, Object.fromEntries(holdersAt(node.transfers, 1500)));
+    assert.deepEqual(await context.db.getHolderSnapshot(CONTRACT_ADDRESS, 1500), holdersAt(node.transfers, 1500));
+});
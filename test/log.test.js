@@ -0,0 +1,119 @@
+// test/log.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, formatElapsed } = require('../log');
+
+// the lines a logger printed, console.error is where every message goes
+function captureLines(t) {
+    const lines = [];
+    t.mock.method(console, 'error', (line) => lines.push(line));
+    return lines;
+}
+
+// a terminal that records what was drawn on it
+function fakeTerminal() {
+    return { isTTY: true, columns: 120, output: '', write(text) { this.output += text; } };
+}
+
+test('shows the messages of the configured level and above', (t) => {
+    const lines = captureLines(t);
+    const logger = new Logger();
+    for (const level of ['quiet', 'info', 'debug']) {
+        logger.configure({ level, stream: {} });
+        logger.debug(`${level} debug`);
+        logger.info(`${level} info`);
+        logger.warn(`${level} warn`);
+        logger.error(`${level} error`);
+    }
+    assert.deepEqual(lines, [
+        'quiet warn', 'quiet error',
+        'info info', 'info warn', 'info error',
+        'debug debug', 'debug info', 'debug warn', 'debug error',
+    ]);
+});
+
+test('writes one JSON object per message with its fields', (t) => {
+    const lines = captureLines(t);
+    const logger = new Logger();
+    logger.configure({ format: 'json', stream: {} });
+    logger.info('Syncing', { fromBlock: 100 });
+    logger.warn('Slow endpoint');
+
+    const records = lines.map((line) => JSON.parse(line));
+    assert.deepEqual(records.map(({ level, message, fromBlock }) => ({ level, message, fromBlock })), [
+        { level: 'info', message: 'Syncing', fromBlock: 100 },
+        { level: 'warn', message: 'Slow endpoint', fromBlock: undefined },
+    ]);
+    assert.ok(records.every((record) => !Number.isNaN(Date.parse(record.time))));
+});
+
+test('draws the progress bar on a terminal and keeps messages above it', (t) => {
+    const lines = captureLines(t);
+    const terminal = fakeTerminal();
+    const logger = new Logger();
+    logger.configure({ stream: terminal });
+
+    const progress = logger.progress('sync', 200, 'blocks');
+    progress.started -= 1000;
+    logger.lastDraw = 0;
+    progress.tick(50);
+    assert.match(terminal.output, /\r\x1b\[2Ksync \[######------------------\] 25\.0% 50\/200 blocks, ETA 3\.0s$/);
+
+    logger.info('Chain reorganization detected');
+    assert.deepEqual(lines, ['Chain reorganization detected']);
+    // cleared for the message, then drawn again
+    assert.ok(terminal.output.endsWith('\r\x1b[2K\r\x1b[2Ksync [######------------------] 25.0% 50/200 blocks, ETA 3.0s'));
+
+    progress.finish();
+    assert.ok(terminal.output.endsWith('\r\x1b[2K'));
+    assert.equal(logger.progressBar, null);
+});
+
+test('draws no bar off a terminal, in JSON or when quiet', (t) => {
+    captureLines(t);
+    for (const options of [{ stream: { ...fakeTerminal(), isTTY: false } }, { format: 'json' }, { level: 'quiet' }]) {
+        const terminal = options.stream || fakeTerminal();
+        const logger = new Logger();
+        logger.configure({ stream: terminal, ...options });
+        const progress = logger.progress('balances', 10, 'addresses');
+        progress.tick(5);
+        progress.finish();
+        assert.equal(terminal.output, '');
+    }
+});
+
+test('sums counters and phase times into the run summary', async (t) => {
+    const lines = captureLines(t);
+    const logger = new Logger();
+    logger.configure({ format: 'json', stream: {} });
+
+    logger.summary();
+    assert.deepEqual(lines, [], 'a run without work has no summary');
+
+    logger.count('rpcRequests', 3);
+    logger.count('rpcCalls', 7);
+    logger.count('retries');
+    logger.count('chunkSizeChanges', 2);
+    await logger.phase('sync', () => new Promise((resolve) => setTimeout(resolve, 20)));
+    await logger.phase('sync', async () => {});
+    await assert.rejects(logger.phase('balances', async () => {
+        throw new Error('archive node needed');
+    }));
+
+    logger.summary();
+    const summary = JSON.parse(lines[0]);
+    assert.equal(summary.message, 'run summary');
+    assert.deepEqual(
+        { rpcRequests: summary.rpcRequests, rpcCalls: summary.rpcCalls, retries: summary.retries, chunkSizeChanges: summary.chunkSizeChanges },
+        { rpcRequests: 3, rpcCalls: 7, retries: 1, chunkSizeChanges: 2 }
+    );
+    assert.deepEqual(Object.keys(summary.phases), ['sync', 'balances']);
+    assert.ok(summary.phases.sync >= 15, `sync took ${summary.phases.sync}ms`);
+});
+
+test('formats elapsed times for the summary and ETA', () => {
+    assert.equal(formatElapsed(950), '0.9s');
+    assert.equal(formatElapsed(12345), '12.3s');
+    assert.equal(formatElapsed(75000), '1m15s');
+    assert.equal(formatElapsed(4000 * 1000), '1h06m');
+});
@@ -0,0 +1,241 @@
+// test/mock-node.js
+const http = require('http');
+const { ethers } = require('ethers');
+const { MULTICALL3_ADDRESS } = require('../balances');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const multicallInterface = new ethers.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)',
+]);
+const tokenInterface = new ethers.Interface([
+    'function balanceOf(address owner) view returns (uint256 balance)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+]);
+
+// block timestamps strictly increase but not evenly, so a search cannot simply divide by the block time
+function defaultTimestamp(blockNumber) {
+    return 1600000000 + blockNumber * 12 + ((blockNumber * 7) % 5);
+}
+
+function topicAddress(address) {
+    return ethers.zeroPadValue(address, 32);
+}
+
+/**
+ * A local stand-in for a JSON-RPC node serving synthetic blocks, the Transfer logs of one ERC-721 contract,
+ * balances and token contracts answering balanceOf, decimals and symbol. Answers eth_getLogs ranges holding
+ * more than maxLogs logs the way public nodes do, with a "query returned more than 10000 results" error.
+ * Every request is recorded in `requests`.
+ */
+class MockNode {
+    /**
+     * @param {object} options
+     * @param {number} options.head Latest block number.
+     * @param {string} options.contractAddress The ERC-721 contract, with code from deploymentBlock on.
+     * @param {object[]} [options.transfers] blockNumber, logIndex, from, to and tokenId of every Transfer log.
+     * @param {Map<string, bigint>} [options.balances] Lowercase address -> balance in wei, the same at every block.
+     * @param {Set<string>} [options.contracts] Lowercase addresses that have code.
+     * @param {Map<string, object>} [options.tokens] Lowercase address -> { balances: Map of lowercase address
+     *   -> balance, decimals, symbol }, the same at every block. Calls to a missing decimals or symbol revert.
+     */
+    constructor({
+        head,
+        contractAddress,
+        deploymentBlock = 0,
+        transfers = [],
+        balances = new Map(),
+        contracts = new Set(),
+        tokens = new Map(),
+        maxLogs = 10000,
+        multicallFrom = 0,
+        batching = true,
+        timestampOf = defaultTimestamp,
+    }) {
+        this.head = head;
+        this.contractAddress = contractAddress.toLowerCase();
+        this.deploymentBlock = deploymentBlock;
+        this.transfers = transfers;
+        this.balances = balances;
+        this.contracts = contracts;
+        this.tokens = tokens;
+        this.maxLogs = maxLogs;
+        this.multicallFrom = multicallFrom;
+        this.batching = batching;
+        this.timestampOf = timestampOf;
+        // (method, params) => error message to fail the request with, or null
+        this.fail = () => null;
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const payload = JSON.parse(body);
+                let response;
+                if (Array.isArray(payload)) {
+                    response = this.batching
+                        ? payload.map((request) => this.handle(request))
+                        : { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'batch requests are not supported' } };
+                } else {
+                    response = this.handle(payload);
+                }
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(response));
+            });
+        });
+        await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async close() {
+        this.server.closeAllConnections();
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    // the eth_getLogs ranges requested so far, as [fromBlock, toBlock]
+    logRanges() {
+        return this.requests
+            .filter((request) => request.method === 'eth_getLogs')
+            .map((request) => [Number(request.params[0].fromBlock), Number(request.params[0].toBlock)]);
+    }
+
+    blockNumber(blockTag) {
+        return blockTag === 'latest' ? this.head : Number(blockTag);
+    }
+
+    handle({ id, method, params = [] }) {
+        this.requests.push({ method, params });
+        const result = (value) => ({ jsonrpc: '2.0', id, result: value });
+        const error = (code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+        const failure = this.fail(method, params);
+        if (failure) {
+            return error(-32000, failure);
+        }
+
+        switch (method) {
+            case 'eth_chainId':
+                return result('0x1');
+            case 'net_version':
+                return result('1');
+            case 'eth_blockNumber':
+                return result(ethers.toQuantity(this.head));
+            case 'eth_getBlockByNumber':
+                return result(this.block(this.blockNumber(params[0])));
+            case 'eth_getLogs':
+                return this.getLogs(params[0], result, error);
+            case 'eth_getBalance':
+                return result(ethers.toQuantity(this.balances.get(params[0].toLowerCase()) || 0n));
+            case 'eth_getCode':
+                return result(this.hasCode(params[0].toLowerCase(), this.blockNumber(params[1])) ? '0x6080' : '0x');
+            case 'eth_call':
+                return this.call(params[0], this.blockNumber(params[1]), result, error);
+            default:
+                return error(-32601, `the method ${method} does not exist`);
+        }
+    }
+
+    block(blockNumber) {
+        if (blockNumber > this.head) {
+            return null;
+        }
+        return {
+            number: ethers.toQuantity(blockNumber),
+            hash: ethers.id(`block ${blockNumber}`),
+            parentHash: blockNumber > 0 ? ethers.id(`block ${blockNumber - 1}`) : ethers.ZeroHash,
+            timestamp: ethers.toQuantity(this.timestampOf(blockNumber)),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: '0x1c9c380',
+            gasUsed: '0x0',
+            miner: ethers.ZeroAddress,
+            extraData: '0x',
+            baseFeePerGas: '0x1',
+            transactions: [],
+        };
+    }
+
+    getLogs(filter, result, error) {
+        const fromBlock = this.blockNumber(filter.fromBlock);
+        const toBlock = Math.min(this.blockNumber(filter.toBlock), this.head);
+        const addresses = [].concat(filter.address || []).map((address) => address.toLowerCase());
+        if (addresses.length > 0 && !addresses.includes(this.contractAddress)) {
+            return result([]);
+        }
+
+        const logs = this.transfers.filter((transfer) => transfer.blockNumber >= fromBlock && transfer.blockNumber <= toBlock);
+        if (logs.length > this.maxLogs) {
+            return error(-32005, `query returned more than ${this.maxLogs} results`);
+        }
+        return result(logs.map((transfer) => ({
+            address: this.contractAddress,
+            blockNumber: ethers.toQuantity(transfer.blockNumber),
+            blockHash: ethers.id(`block ${transfer.blockNumber}`),
+            transactionHash: ethers.id(`tx ${transfer.blockNumber} ${transfer.logIndex}`),
+            transactionIndex: '0x0',
+            logIndex: ethers.toQuantity(transfer.logIndex),
+            removed: false,
+            data: '0x',
+            topics: [TRANSFER_TOPIC, topicAddress(transfer.from), topicAddress(transfer.to), ethers.toBeHex(BigInt(transfer.tokenId), 32)],
+        })));
+    }
+
+    hasCode(address, blockNumber) {
+        if (address === MULTICALL3_ADDRESS.toLowerCase()) {
+            return blockNumber >= this.multicallFrom;
+        }
+        if (address === this.contractAddress) {
+            return blockNumber >= this.deploymentBlock;
+        }
+        return this.contracts.has(address) || this.tokens.has(address);
+    }
+
+    // return data of a token call, null where the token reverts
+    tokenCall(token, data) {
+        const call = tokenInterface.parseTransaction({ data });
+        if (!call || (call.name !== 'balanceOf' && token[call.name] === undefined)) {
+            return null;
+        }
+        const value = call.name === 'balanceOf' ? token.balances.get(call.args[0].toLowerCase()) || 0n : token[call.name];
+        return tokenInterface.encodeFunctionResult(call.name, [value]);
+    }
+
+    // token calls, and Multicall3.aggregate3 of getEthBalance and token calls
+    call(transaction, blockNumber, result, error) {
+        const to = transaction.to.toLowerCase();
+        const input = transaction.input || transaction.data;
+        if (this.tokens.has(to)) {
+            const returnData = this.tokenCall(this.tokens.get(to), input);
+            return returnData === null ? error(3, 'execution reverted') : result(returnData);
+        }
+        if (to !== MULTICALL3_ADDRESS.toLowerCase() || !this.hasCode(to, blockNumber)) {
+            return result('0x');
+        }
+        const [calls] = multicallInterface.decodeFunctionData('aggregate3', input);
+        const returnData = calls.map((call) => {
+            const target = call.target.toLowerCase();
+            if (this.tokens.has(target)) {
+                const tokenData = this.tokenCall(this.tokens.get(target), call.callData);
+                return tokenData === null ? [false, '0x'] : [true, tokenData];
+            }
+            const [address] = multicallInterface.decodeFunctionData('getEthBalance', call.callData);
+            const balance = this.balances.get(address.toLowerCase()) || 0n;
+            return [true, multicallInterface.encodeFunctionResult('getEthBalance', [balance])];
+        });
+        return result(multicallInterface.encodeFunctionResult('aggregate3', [returnData]));
+    }
+}
+
+module.exports = {
+    MockNode,
+    defaultTimestamp,
+};
@@ -0,0 +1,87 @@
+// test/providers.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { loadEndpoints, ProviderPool } = require('../providers');
+const { parseCli } = require('../cli');
+const { MockNode } = require('./mock-node');
+const { CONTRACT_ADDRESS, silenceConsole } = require('./helpers');
+
+const HEAD = 500;
+
+let nodes = [];
+let pool;
+
+async function setUp(t, poolOptions) {
+    silenceConsole(t);
+    nodes = [new MockNode({ head: HEAD, contractAddress: CONTRACT_ADDRESS }), new MockNode({ head: HEAD, contractAddress: CONTRACT_ADDRESS })];
+    for (const node of nodes) {
+        await node.start();
+    }
+    pool = new ProviderPool(loadEndpoints({ rpc: nodes.map((node) => node.url) }, { RPC_RATE_LIMIT: '10000' }), poolOptions);
+    return nodes;
+}
+
+afterEach(async () => {
+    if (pool) {
+        pool.destroy();
+        pool = null;
+    }
+    for (const node of nodes) {
+        await node.close();
+    }
+    nodes = [];
+});
+
+async function blockNumbers(count) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        results.push(Number(await pool.send('eth_blockNumber', [])));
+    }
+    return results;
+}
+
+test('fails over to the other endpoint and lets a failing one sit out its cooldown', async (t) => {
+    const [broken, healthy] = await setUp(t, { failureThreshold: 2, cooldownMs: 60000 });
+    broken.fail = () => 'internal error';
+
+    assert.deepEqual(await blockNumbers(6), Array(6).fill(HEAD));
+    const [brokenEndpoint, healthyEndpoint] = pool.endpoints;
+    assert.equal(brokenEndpoint.consecutiveFailures, 2);
+    assert.ok(brokenEndpoint.cooldownUntil > Date.now());
+    assert.equal(healthyEndpoint.consecutiveFailures, 0);
+
+    // cooling down, the broken endpoint is only tried when the healthy one fails too
+    const brokenRequests = broken.requests.length;
+    assert.deepEqual(await blockNumbers(4), Array(4).fill(HEAD));
+    assert.equal(broken.requests.length, brokenRequests);
+    assert.ok(healthy.requests.length >= 10);
+});
+
+test('background health checks bring a recovered endpoint back before its cooldown is over', async (t) => {
+    const [broken] = await setUp(t, { failureThreshold: 1, cooldownMs: 60000 });
+    broken.fail = () => 'internal error';
+    await blockNumbers(4);
+    assert.ok(pool.endpoints[0].cooldownUntil > Date.now());
+
+    broken.fail = () => null;
+    pool.startHealthChecks(20);
+    for (let waited = 0; pool.endpoints[0].cooldownUntil !== 0 && waited < 2000; waited += 20) {
+        await sleep(20);
+    }
+    pool.stopHealthChecks();
+    assert.equal(pool.endpoints[0].cooldownUntil, 0);
+    assert.equal(pool.healthCheckTimer, null);
+
+    // back in the rotation
+    const brokenRequests = broken.requests.length;
+    await blockNumbers(4);
+    assert.ok(broken.requests.length > brokenRequests);
+});
+
+test('only serve and watch take a health check interval', () => {
+    assert.equal(parseCli(['watch', '--health-check-interval', '5']).options.healthCheckInterval, 5);
+    assert.equal(parseCli(['serve', '--health-check-interval', '0']).options.healthCheckInterval, 0);
+    assert.throws(() => parseCli(['holders', '--health-check-interval', '5']), /only supported by serve and watch/);
+    assert.throws(() => parseCli(['serve', '--health-check-interval', 'often']), /Invalid --health-check-interval/);
+});
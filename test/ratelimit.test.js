@@ -0,0 +1,146 @@
+// test/ratelimit.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const RateLimiter = require('../ratelimit');
+const { silenceConsole } = require('./helpers');
+
+const { RetryLimitError } = RateLimiter;
+
+// start times of the tasks relative to the first one, in milliseconds
+async function startTimes(rateLimiter, count, task = async () => {}) {
+    const starts = [];
+    await Promise.all(Array.from({ length: count }, () => rateLimiter.add(() => {
+        starts.push(Date.now());
+        return task();
+    })));
+    return starts.map((start) => start - starts[0]);
+}
+
+test('paces task starts to the rate once the burst is used up', async () => {
+    const rateLimiter = new RateLimiter(50, { burst: 1 });
+    const starts = await startTimes(rateLimiter, 11);
+    // ten intervals of 20ms, with some slack for timer granularity
+    assert.ok(starts[10] >= 180, `last task started after ${starts[10]}ms`);
+    assert.ok(starts[10] < 1000, `last task started after ${starts[10]}ms`);
+    for (let index = 1; index < starts.length; index++) {
+        assert.ok(starts[index] - starts[index - 1] >= 10, `tasks ${index - 1} and ${index} started ${starts[index] - starts[index - 1]}ms apart`);
+    }
+});
+
+test('starts a burst back to back, then continues at the rate', async () => {
+    const rateLimiter = new RateLimiter(10, { burst: 5 });
+    const starts = await startTimes(rateLimiter, 6);
+    assert.ok(starts[4] < 50, `fifth task started after ${starts[4]}ms`);
+    assert.ok(starts[5] >= 80, `sixth task started after ${starts[5]}ms`);
+});
+
+test('never runs more than maxConcurrency tasks at once', async () => {
+    const rateLimiter = new RateLimiter(1000, { maxConcurrency: 3 });
+    let running = 0;
+    let peak = 0;
+    await startTimes(rateLimiter, 12, async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(15);
+        running--;
+    });
+    assert.equal(peak, 3);
+});
+
+test('retries transient errors with backoff until the task succeeds', async (t) => {
+    silenceConsole(t);
+    const rateLimiter = new RateLimiter(1000, { baseDelayMs: 40 });
+    let attempts = 0;
+    const started = Date.now();
+    const result = await rateLimiter.add(async () => {
+        attempts++;
+        if (attempts < 3) {
+            throw new Error('read ECONNRESET');
+        }
+        return 'ok';
+    });
+
+    assert.equal(result, 'ok');
+    assert.equal(attempts, 3);
+    // equal jitter: at least half of 40ms, then half of 80ms
+    assert.ok(Date.now() - started >= 60, `retried after ${Date.now() - started}ms`);
+    assert.equal(rateLimiter.getMetrics().retries, 2);
+    assert.equal(rateLimiter.getMetrics().completed, 1);
+});
+
+test('gives up with a RetryLimitError once the retries are used up', async (t) => {
+    silenceConsole(t);
+    const rateLimiter = new RateLimiter(1000, { maxRetries: 2, baseDelayMs: 1 });
+    let attempts = 0;
+    await assert.rejects(
+        rateLimiter.add(async () => {
+            attempts++;
+            throw new Error('503 Service Unavailable');
+        }),
+        (error) => error instanceof RetryLimitError && error.attempts === 3 && /503/.test(error.cause.message)
+    );
+    assert.equal(attempts, 3);
+    assert.equal(rateLimiter.getMetrics().failed, 1);
+});
+
+test('fails right away on errors that are not worth retrying', async () => {
+    const rateLimiter = new RateLimiter(1000);
+    let attempts = 0;
+    await assert.rejects(rateLimiter.add(async () => {
+        attempts++;
+        throw new Error('query returned more than 10000 results');
+    }), /query returned more than/);
+    assert.equal(attempts, 1);
+});
+
+test('pauses every task after a rate-limit error', async (t) => {
+    silenceConsole(t);
+    const rateLimiter = new RateLimiter(1000, { baseDelayMs: 100, maxConcurrency: 1 });
+    let throttled = false;
+    const first = rateLimiter.add(async () => {
+        if (!throttled) {
+            throttled = true;
+            throw new Error('429 Too Many Requests');
+        }
+    });
+    const started = Date.now();
+    let secondStart = null;
+    const second = rateLimiter.add(async () => {
+        secondStart = Date.now() - started;
+    });
+
+    await Promise.all([first, second]);
+    assert.ok(secondStart >= 50, `second task started ${secondStart}ms after the rate-limit error`);
+    assert.equal(rateLimiter.getMetrics().rateLimited, 1);
+});
+
+test('starts higher priorities first, equal ones in order', async () => {
+    const rateLimiter = new RateLimiter(1000, { maxConcurrency: 1 });
+    const order = [];
+    const blocker = rateLimiter.add(() => sleep(20));
+    const tasks = [
+        rateLimiter.add(async () => order.push('low 1')),
+        rateLimiter.add(async () => order.push('high'), { priority: 1 }),
+        rateLimiter.add(async () => order.push('low 2')),
+    ];
+    await Promise.all([blocker, ...tasks]);
+    assert.deepEqual(order, ['high', 'low 1', 'low 2']);
+});
+
+test('aborting a signal cancels the queued tasks', async () => {
+    const rateLimiter = new RateLimiter(1000, { maxConcurrency: 1 });
+    const controller = new AbortController();
+    let ran = 0;
+    const blocker = rateLimiter.add(() => sleep(20));
+    const queued = [1, 2, 3].map(() => rateLimiter.add(async () => ran++, { signal: controller.signal }));
+    controller.abort(new Error('stopped'));
+
+    for (const task of queued) {
+        await assert.rejects(task, /stopped/);
+    }
+    await blocker;
+    assert.equal(ran, 0);
+    assert.equal(rateLimiter.getMetrics().cancelled, 3);
+    assert.equal(rateLimiter.getMetrics().queued, 0);
+});
@@ -0,0 +1,106 @@
+// test/server.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { findBlockByTimestamp, getHolderMapByBlock, getTransactionThroughBlock } = require('../app');
+const { ApiServer } = require('../server');
+const { logger } = require('../log');
+const { MockNode } = require('./mock-node');
+const { CONTRACT_ADDRESS, generateTransfers, holdersAt, createContext } = require('./helpers');
+
+const DEPLOYMENT_BLOCK = 100;
+const SYNCED_THROUGH = 2000;
+const TARGET_BLOCK = 1500;
+
+let node;
+let context;
+let server;
+let baseUrl;
+
+before(async () => {
+    // every request is logged, keep the test output readable
+    logger.configure({ level: 'quiet' });
+    node = new MockNode({
+        head: SYNCED_THROUGH + 100,
+        contractAddress: CONTRACT_ADDRESS,
+        deploymentBlock: DEPLOYMENT_BLOCK,
+        transfers: generateTransfers({ mintBlock: DEPLOYMENT_BLOCK, toBlock: SYNCED_THROUGH, tokenCount: 30, holderCount: 8, every: 3 }),
+    });
+    await node.start();
+    context = await createContext(node);
+    await context.db.addCollection(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK);
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, SYNCED_THROUGH);
+
+    // the service as serve builds it, without background syncs so the cache stays as synced above
+    server = new ApiServer({
+        db: context.db,
+        defaultContract: CONTRACT_ADDRESS,
+        confirmations: 10,
+        getLatestBlock: () => context.provider.getBlockNumber(),
+        findBlockByTimestamp: (timestamp, direction) => findBlockByTimestamp(context, timestamp, direction),
+        getHolderMap: (collection, blockNumber) => getHolderMapByBlock(context, collection.address, collection.deploymentBlock, blockNumber),
+        getBalanceSum: async () => '0.0',
+        syncCollection: () => undefined,
+    }, { syncIntervalMs: 0 });
+    const { port } = await server.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+    await server.close();
+    logger.configure();
+    await context.close();
+    await node.close();
+});
+
+async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+}
+
+// holders with their token counts, most tokens first as the API lists them
+function expectedHolders(blockNumber) {
+    const counts = new Map();
+    for (const holder of holdersAt(node.transfers, blockNumber).values()) {
+        counts.set(holder, (counts.get(holder) || 0) + 1);
+    }
+    return Array.from(counts, ([address, tokenCount]) => ({ address, tokenCount }))
+        .sort((a, b) => b.tokenCount - a.tokenCount || a.address.localeCompare(b.address));
+}
+
+test('pages through the holders at a block', async () => {
+    const expected = expectedHolders(TARGET_BLOCK);
+    const { status, body } = await get(`/collections/${CONTRACT_ADDRESS}/holders?block=${TARGET_BLOCK}&limit=3&offset=2`);
+    assert.equal(status, 200);
+    assert.equal(body.blockNumber, TARGET_BLOCK);
+    assert.equal(body.holderCount, expected.length);
+    assert.deepEqual(body.pagination, { offset: 2, limit: 3, total: expected.length });
+    assert.deepEqual(body.holders.map(({ address, tokenCount }) => ({ address, tokenCount })), expected.slice(2, 5));
+
+    // a timestamp resolves to the block it falls in
+    const byTimestamp = await get(`/collections/${CONTRACT_ADDRESS}/holders?timestamp=${node.timestampOf(TARGET_BLOCK)}&limit=3&offset=2`);
+    assert.equal(byTimestamp.body.blockNumber, TARGET_BLOCK);
+    assert.deepEqual(byTimestamp.body.holders, body.holders);
+});
+
+test('answers bad input with 400', async () => {
+    const holdersPath = `/collections/${CONTRACT_ADDRESS}/holders`;
+    for (const [query, message] of [
+        ['block=soon', /Invalid block "soon"/],
+        ['timestamp=yesterday', /Invalid timestamp "yesterday", expected a Unix timestamp or an ISO 8601 date/],
+        ['limit=0', /Invalid limit "0"/],
+        [`block=${TARGET_BLOCK}&timestamp=1`, /either block or timestamp/],
+    ]) {
+        const { status, body } = await get(`${holdersPath}?${query}`);
+        assert.equal(status, 400, query);
+        assert.deepEqual(Object.keys(body.error), ['status', 'message']);
+        assert.match(body.error.message, message);
+    }
+    assert.equal((await get('/collections/0x1234/holders')).status, 400);
+});
+
+test('answers unknown routes, collections and tokens with 404', async () => {
+    assert.equal((await get('/tokens')).status, 404);
+    const untracked = await get('/collections/0x60e4d786628fea6478f785a6d7e704777c86a7c6/holders');
+    assert.deepEqual(untracked, { status: 404, body: { error: { status: 404, message: 'Collection 0x60e4d786628fea6478f785a6d7e704777c86a7c6 is not tracked' } } });
+    assert.equal((await get('/owners/999')).status, 404);
+});
@@ -0,0 +1,132 @@
+// test/sync.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getTransactionThroughBlock } = require('../app');
+const { MockNode } = require('./mock-node');
+const { CONTRACT_ADDRESS, generateTransfers, createContext, silenceConsole } = require('./helpers');
+
+const DEPLOYMENT_BLOCK = 100;
+
+let node;
+let context;
+
+async function setUp(t, nodeOptions) {
+    silenceConsole(t);
+    node = new MockNode({ contractAddress: CONTRACT_ADDRESS, deploymentBlock: DEPLOYMENT_BLOCK, ...nodeOptions });
+    await node.start();
+    context = await createContext(node);
+    await context.db.addCollection(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK);
+}
+
+afterEach(async () => {
+    await context.close();
+    await node.close();
+});
+
+function logCount(fromBlock, toBlock) {
+    return node.transfers.filter((transfer) => transfer.blockNumber >= fromBlock && transfer.blockNumber <= toBlock).length;
+}
+
+// the eth_getLogs ranges the node answered, leaving out the ones it refused as too large
+function answeredRanges() {
+    return node.logRanges().filter(([fromBlock, toBlock]) => logCount(fromBlock, toBlock) <= node.maxLogs);
+}
+
+// every answered range starts right after the previous one, from fromBlock through toBlock
+function assertContiguous(ranges, fromBlock, toBlock) {
+    assert.equal(ranges[0][0], fromBlock);
+    for (let index = 1; index < ranges.length; index++) {
+        assert.equal(ranges[index][0], ranges[index - 1][1] + 1, `range ${index} starts at ${ranges[index][0]}`);
+    }
+    assert.equal(ranges[ranges.length - 1][1], toBlock);
+}
+
+async function assertCached(fromBlock, toBlock) {
+    const cached = await context.db.getEventsByBlockRange(CONTRACT_ADDRESS, fromBlock, toBlock);
+    const expected = node.transfers.filter((transfer) => transfer.blockNumber >= fromBlock && transfer.blockNumber <= toBlock);
+    assert.deepEqual(
+        cached.map((event) => [event.blockNumber, event.logIndex, event.args.from, event.args.to, event.args.tokenId.toString()]),
+        expected.map((transfer) => [transfer.blockNumber, transfer.logIndex, transfer.from, transfer.to, transfer.tokenId])
+    );
+}
+
+test('halves the chunk when the node refuses a range with too many logs', async (t) => {
+    const transfers = generateTransfers({ mintBlock: DEPLOYMENT_BLOCK, toBlock: 5900, tokenCount: 200, holderCount: 20 });
+    await setUp(t, { head: 6000, transfers, maxLogs: 1000 });
+
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, 5900);
+
+    const ranges = node.logRanges();
+    const refused = ranges.filter(([fromBlock, toBlock]) => logCount(fromBlock, toBlock) > node.maxLogs);
+    assert.ok(refused.length > 0, 'no range was refused');
+    for (let index = 0; index < ranges.length - 1; index++) {
+        const [fromBlock, toBlock] = ranges[index];
+        if (logCount(fromBlock, toBlock) > node.maxLogs) {
+            // the same blocks are asked for again, in a chunk half as large. a range cut off at the target block
+            // can be smaller than the chunk, the next one is then no longer than it
+            const [nextFrom, nextTo] = ranges[index + 1];
+            const size = toBlock - fromBlock + 1;
+            const maxNextSize = toBlock === 5900 ? size : Math.floor(size / 2);
+            assert.equal(nextFrom, fromBlock);
+            assert.ok(nextTo - nextFrom + 1 <= maxNextSize, `range after ${fromBlock}-${toBlock} is ${nextFrom}-${nextTo}`);
+        }
+    }
+
+    assertContiguous(answeredRanges(), DEPLOYMENT_BLOCK, 5900);
+    await assertCached(DEPLOYMENT_BLOCK, 5900);
+});
+
+test('grows the chunk over sparse ranges up to its maximum', async (t) => {
+    const transfers = generateTransfers({ mintBlock: 1000, toBlock: 900000, tokenCount: 5, holderCount: 3, every: 50000 });
+    await setUp(t, { head: 1000000, transfers });
+
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, 900000);
+
+    const ranges = answeredRanges();
+    const sizes = ranges.map(([fromBlock, toBlock]) => toBlock - fromBlock + 1);
+    // 25% more after every range with few logs, capped at 150000 blocks
+    assert.deepEqual(sizes.slice(0, 6), [50000, 62500, 78125, 97656, 122070, 150000]);
+    assert.ok(sizes.slice(6, -1).every((size) => size === 150000), `sizes ${sizes}`);
+    assertContiguous(ranges, DEPLOYMENT_BLOCK, 900000);
+    await assertCached(DEPLOYMENT_BLOCK, 900000);
+});
+
+test('a later sync only fetches blocks it has not synced yet', async (t) => {
+    const transfers = generateTransfers({ mintBlock: DEPLOYMENT_BLOCK, toBlock: 5000, tokenCount: 50, holderCount: 10, every: 3 });
+    await setUp(t, { head: 6000, transfers });
+
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, 3000);
+    node.requests = [];
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, 5000);
+
+    assertContiguous(answeredRanges(), 3001, 5000);
+    await assertCached(DEPLOYMENT_BLOCK, 5000);
+
+    // nothing left to fetch
+    node.requests = [];
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, 5000);
+    assert.deepEqual(node.logRanges(), []);
+});
+
+test('resumes an interrupted sync from the chunk that failed', async (t) => {
+    const transfers = generateTransfers({ mintBlock: DEPLOYMENT_BLOCK, toBlock: 5900, tokenCount: 100, holderCount: 10 });
+    await setUp(t, { head: 6000, transfers, maxLogs: 500 });
+
+    let failedFrom = null;
+    node.fail = (method, params) => {
+        const fromBlock = method === 'eth_getLogs' ? Number(params[0].fromBlock) : 0;
+        if (failedFrom === null && fromBlock > 3000) {
+            failedFrom = fromBlock;
+            return 'internal error';
+        }
+        return null;
+    };
+    await assert.rejects(getTransactionThroughBlock(context, CONTRACT_ADDRESS, 5900), /internal error/);
+    assert.deepEqual(await context.db.getUnsyncedRanges(CONTRACT_ADDRESS, DEPLOYMENT_BLOCK, 5900), [{ fromBlock: failedFrom, toBlock: 5900 }]);
+
+    node.requests = [];
+    await getTransactionThroughBlock(context, CONTRACT_ADDRESS, 5900);
+
+    assertContiguous(answeredRanges(), failedFrom, 5900);
+    await assertCached(DEPLOYMENT_BLOCK, 5900);
+});
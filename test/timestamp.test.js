@@ -0,0 +1,88 @@
+// test/timestamp.test.js
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { findBlockByTimestamp } = require('../app');
+const { UsageError } = require('../cli');
+const { MockNode, defaultTimestamp } = require('./mock-node');
+const { CONTRACT_ADDRESS, createContext, silenceConsole } = require('./helpers');
+
+const HEAD = 100000;
+
+// the answer by walking the chain, for comparison
+function expectedBlock(timestamp, direction) {
+    if (direction === 'before') {
+        let blockNumber = HEAD;
+        while (defaultTimestamp(blockNumber) > timestamp) {
+            blockNumber--;
+        }
+        return blockNumber;
+    }
+    let blockNumber = 0;
+    while (defaultTimestamp(blockNumber) < timestamp) {
+        blockNumber++;
+    }
+    return blockNumber;
+}
+
+let node;
+let context;
+
+before(async () => {
+    node = new MockNode({ head: HEAD, contractAddress: CONTRACT_ADDRESS });
+    await node.start();
+});
+
+after(async () => {
+    await node.close();
+});
+
+beforeEach(async (t) => {
+    silenceConsole(t);
+    context = await createContext(node);
+});
+
+afterEach(async () => {
+    await context.close();
+});
+
+test('finds the block stamped exactly at the timestamp in both directions', async () => {
+    for (const blockNumber of [0, 1, 4321, 77777, HEAD]) {
+        const timestamp = defaultTimestamp(blockNumber);
+        assert.deepEqual(await findBlockByTimestamp(context, timestamp, 'before'), { number: blockNumber, timestamp });
+        assert.deepEqual(await findBlockByTimestamp(context, timestamp, 'after'), { number: blockNumber, timestamp });
+    }
+});
+
+test('resolves timestamps between blocks to the block before or after', async () => {
+    for (const blockNumber of [10, 5000, 54321, HEAD - 1]) {
+        const timestamp = defaultTimestamp(blockNumber) + 5;
+        assert.equal((await findBlockByTimestamp(context, timestamp, 'before')).number, expectedBlock(timestamp, 'before'));
+        assert.equal((await findBlockByTimestamp(context, timestamp, 'after')).number, expectedBlock(timestamp, 'after'));
+    }
+});
+
+test('takes far fewer block lookups than a bisection over the chain', async () => {
+    node.requests = [];
+    await findBlockByTimestamp(context, defaultTimestamp(61234) + 3, 'before');
+    const lookups = node.requests.filter((request) => request.method === 'eth_getBlockByNumber').length;
+    // plain bisection needs about log2(100000) = 17, interpolating on the nearly even block times a handful
+    assert.ok(lookups < 10, `${lookups} block lookups`);
+});
+
+test('answers repeated lookups from the block_timestamps cache', async () => {
+    const timestamp = defaultTimestamp(30000) + 1;
+    const first = await findBlockByTimestamp(context, timestamp, 'before');
+
+    node.requests = [];
+    const second = await findBlockByTimestamp(context, timestamp, 'before');
+    assert.deepEqual(second, first);
+    assert.equal(node.requests.filter((request) => request.method === 'eth_getBlockByNumber').length, 0);
+});
+
+test('rejects timestamps outside the chain', async () => {
+    await assert.rejects(findBlockByTimestamp(context, defaultTimestamp(0) - 1, 'before'), UsageError);
+    await assert.rejects(findBlockByTimestamp(context, defaultTimestamp(HEAD) + 1, 'after'), UsageError);
+    // the closest blocks still exist in the other direction
+    assert.equal((await findBlockByTimestamp(context, defaultTimestamp(0) - 1, 'after')).number, 0);
+    assert.equal((await findBlockByTimestamp(context, defaultTimestamp(HEAD) + 1, 'before')).number, HEAD);
+});
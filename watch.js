@@ -0,0 +1,97 @@
+// watch.js
+const { ethers } = require('ethers');
+const RateLimiter = require('./ratelimit');
+
+/**
+ * Turns newly ingested Transfer events into the events `watch` emits, updating holdings as it goes.
+ * @param {string} contractAddress
+ * @param {object[]} transfers Events in chain order, as returned by getEventsByBlockRange.
+ * @param {Map<string, number>} holdings holder -> token count before the transfers, updated in place.
+ * @param {Map<number, number>} timestamps blockNumber -> block timestamp.
+ * @returns {object[]} mint, transfer and burn events, each followed by new_holder / holder_exited events
+ *   for holders whose token count went from or to zero.
+ */
+function describeTransfers(contractAddress, transfers, holdings, timestamps) {
+    const events = [];
+    for (const transfer of transfers) {
+        const from = transfer.args.from.toString();
+        const to = transfer.args.to.toString();
+        const common = {
+            contractAddress,
+            blockNumber: transfer.blockNumber,
+            timestamp: timestamps.get(transfer.blockNumber) ?? null,
+            transactionHash: transfer.transactionHash,
+            logIndex: transfer.logIndex,
+        };
+
+        let type = 'transfer';
+        if (from === ethers.ZeroAddress) {
+            type = 'mint';
+        } else if (to === ethers.ZeroAddress) {
+            type = 'burn';
+        }
+        events.push({ type, ...common, tokenId: transfer.args.tokenId.toString(), from, to });
+
+        if (from !== ethers.ZeroAddress) {
+            const tokenCount = (holdings.get(from) || 0) - 1;
+            if (tokenCount <= 0) {
+                holdings.delete(from);
+                events.push({ type: 'holder_exited', ...common, holder: from, tokenCount: 0 });
+            } else {
+                holdings.set(from, tokenCount);
+            }
+        }
+        if (to !== ethers.ZeroAddress) {
+            const tokenCount = (holdings.get(to) || 0) + 1;
+            holdings.set(to, tokenCount);
+            if (tokenCount === 1) {
+                events.push({ type: 'new_holder', ...common, holder: to, tokenCount });
+            }
+        }
+    }
+    return events;
+}
+
+// token count of every holder, from a tokenId -> holder map
+function countHoldings(holderMap) {
+    const holdings = new Map();
+    for (const holder of holderMap.values()) {
+        holdings.set(holder, (holdings.get(holder) || 0) + 1);
+    }
+    return holdings;
+}
+
+// one JSON object per line on the given stream
+function createNdjsonSink(stream = process.stdout) {
+    return async (events) => {
+        for (const event of events) {
+            stream.write(`${JSON.stringify(event)}\n`);
+        }
+    };
+}
+
+// POSTs every event to the URL in order; throttled or failing deliveries are retried, then the watch stops
+function createWebhookSink(url) {
+    const rateLimiter = new RateLimiter(10, { maxConcurrency: 1 });
+    return async (events) => {
+        for (const event of events) {
+            await rateLimiter.add(async () => {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'content-type': 'application/json' },
+                    body: JSON.stringify(event),
+                });
+                if (!response.ok) {
+                    throw new Error(`Webhook ${new URL(url).origin} answered ${response.status} ${response.statusText}`);
+                }
+            });
+        }
+    };
+}
+
+module.exports = {
+    describeTransfers,
+    countHoldings,
+    createNdjsonSink,
+    createWebhookSink,
+};